@@ -1,4 +1,4 @@
-import { If, min, MeshBasicNodeMaterial, SpriteNodeMaterial, color, range, sin, instanceIndex, timerDelta, smoothstep, step, timerGlobal, tslFn, uniform, uv, vec3, vec4, positionWorld, vec2, normalWorld, mix, max, rangeFog, densityFog } from 'three/webgpu'
+import { If, MeshBasicNodeMaterial, Vector2, abs, cameraPosition, color, dot, fract, fwidth, max, mix, normalLocal, normalWorld, pow, positionLocal, positionWorld, saturate, smoothstep, tslFn, uniform, vec2, vec3, vec4 } from 'three/webgpu'
 
 const projectedGridUv = tslFn(([ position, normal ]) =>
 {
@@ -24,42 +24,229 @@ const projectedGridUv = tslFn(([ position, normal ]) =>
     return uv
 })
 
-const projectedGrid = tslFn(([scale, thickness, offset]) =>
+// Blends the 3 planar projections of `sample(uv)`, the weights following the normal raised to the sharpness exponent
+// Works with any node returned by `sample`, like a texture
+export const triplanar = (sample, position, normal, sharpness) =>
 {
-    const uv = projectedGridUv(positionWorld, normalWorld).div(scale).add(thickness.mul(0.5)).add(offset).mod(1)
-    return max(
-        uv.x.step(thickness),
-        uv.y.step(thickness)
-    )
-})
+    const weights = pow(abs(normal), vec3(sharpness))
+    const normalizedWeights = weights.div(dot(weights, vec3(1)))
+
+    return sample(position.yz).mul(normalizedWeights.x)
+        .add(sample(position.xz).mul(normalizedWeights.y))
+        .add(sample(position.xy).mul(normalizedWeights.z))
+}
+
+// Anti-aliased line centered on 0 with a width in the coordinate unit, derivative being the screen-space one of the coordinate
+// Lines thinner than a pixel are drawn one pixel wide and dimmed instead so they don't break up
+const antialiasedLine = (coordinate, width, derivative) =>
+{
+    const drawWidth = max(width, derivative)
+    const line = smoothstep(drawWidth.add(derivative), drawWidth.sub(derivative), abs(coordinate).mul(2))
+
+    return line.mul(saturate(width.div(drawWidth)))
+}
+
+// Grid lines on the integers of the uv, width being a fraction of a cell
+const antialiasedGrid = (uv, width) =>
+{
+    // Derivative taken before fract() which jumps in the middle of the cells
+    const derivative = fwidth(uv)
+    const lines = antialiasedLine(fract(uv.add(0.5)).sub(0.5), vec2(width), derivative)
+
+    // Cells smaller than a pixel converge to their average coverage instead of flickering
+    const averageFade = saturate(derivative.mul(2).sub(1))
+    const fadedLines = mix(lines, vec2(width), averageFade)
+
+    return max(fadedLines.x, fadedLines.y)
+}
+
+const defaultLevels = [
+    { size: 0.1, thickness: 0.1, color: '#39364f' },
+    { size: 1, thickness: 0.01, color: '#705df2' }
+]
+
+/**
+ * Grid material
+ * Any number of levels drawn in order, each with its own cell size, line thickness and color
+ * Lines fade toward the background with the distance to the camera and optional axes are drawn on top
+ * The `planar` projection picks the dominant axis of the normal while `triplanar` blends the 3 axes to avoid seams on curved meshes
+ * The projection uses the world space or the object space, the latter sticking to the mesh when it moves
+ * `groundScar` darkens the floor with the scar sampled at the world position
+ */
+export default function createGridMaterial({
+    levels = defaultLevels,
+    backgroundColor = '#171617',
+    fadeNear = 10,
+    fadeFar = 40,
+    axes = false,
+    axisThickness = 0.02,
+    axisXColor = '#d9455f',
+    axisZColor = '#4d8cf2',
+    projection = 'planar',
+    space = 'world',
+    sharpness = 4,
+    groundScar = null
+} = {})
+{
+    const grid = {}
+    grid.levels = []
+    grid.projection = projection
+    grid.space = space
+    grid.material = new MeshBasicNodeMaterial()
+
+    grid.uniforms = {
+        backgroundColor: uniform(color(backgroundColor)),
+        offset: uniform(new Vector2()),
+        fadeNear: uniform(fadeNear),
+        fadeFar: uniform(fadeFar),
+        axes: uniform(axes ? 1 : 0),
+        axisThickness: uniform(axisThickness),
+        axisXColor: uniform(color(axisXColor)),
+        axisZColor: uniform(color(axisZColor)),
+        sharpness: uniform(sharpness)
+    }
+
+    /**
+     * Color
+     * Rebuilt when levels are added or removed and when the projection or the space changes
+     */
+    grid.update = () =>
+    {
+        const { backgroundColor, offset, fadeNear, fadeFar, axes, axisThickness, axisXColor, axisZColor, sharpness } = grid.uniforms
+
+        const position = grid.space === 'object' ? positionLocal : positionWorld
+        const normal = grid.space === 'object' ? normalLocal : normalWorld
+
+        const project = (sample) =>
+        {
+            if(grid.projection === 'triplanar')
+                return triplanar(sample, position, normal, sharpness)
+
+            return sample(projectedGridUv(position, normal))
+        }
+
+        const distanceFade = positionWorld.distance(cameraPosition).smoothstep(fadeFar, fadeNear)
+
+        let finalColor = backgroundColor
+
+        for(const level of grid.levels)
+        {
+            const strength = project(uv => antialiasedGrid(uv.div(level.size).add(offset), level.thickness))
+            finalColor = mix(finalColor, level.color, strength.mul(distanceFade))
+        }
+
+        // Axes on the 0 lines of the projected uv, so they follow the dominant plane of any geometry
+        // On a floor, X runs along the Z = 0 line and Z along the X = 0 line
+        const axisX = project(uv => antialiasedLine(uv.y, axisThickness, fwidth(uv.y))).mul(axes)
+        const axisZ = project(uv => antialiasedLine(uv.x, axisThickness, fwidth(uv.x))).mul(axes)
+        finalColor = mix(finalColor, axisXColor, axisX.mul(distanceFade))
+        finalColor = mix(finalColor, axisZColor, axisZ.mul(distanceFade))
+
+        // Ground scar
+        if(groundScar)
+            finalColor = mix(finalColor, groundScar.color, groundScar.sample(positionWorld))
+
+        grid.material.colorNode = vec4(finalColor, 1)
+        grid.material.needsUpdate = true
+    }
+
+    /**
+     * Levels
+     */
+    grid.addLevel = ({ size = 1, thickness = 0.02, color: levelColor = '#ffffff' } = {}) =>
+    {
+        const level = {
+            size: uniform(size),
+            thickness: uniform(thickness),
+            color: uniform(color(levelColor))
+        }
+        grid.levels.push(level)
+        grid.update()
+        grid.onLevelsChange?.()
+
+        return level
+    }
+
+    grid.removeLevel = (level) =>
+    {
+        grid.levels.splice(grid.levels.indexOf(level), 1)
+        grid.update()
+        grid.onLevelsChange?.()
+    }
+
+    for(const level of levels)
+        grid.addLevel(level)
+
+    grid.dispose = () =>
+    {
+        grid.material.dispose()
+    }
+
+    /**
+     * GUI
+     * Level folders are named after their index and the count comes first so presets can restore any number of levels
+     */
+    grid.addGui = (gui, title = 'grid') =>
+    {
+        const folder = gui.addFolder(title)
+        const guiState = { count: grid.levels.length }
+        let levelFolders = []
+
+        const addColor = (target, uniform, name) =>
+        {
+            return target.addColor({ [name]: uniform.value.getHexString() }, name).onChange(value => uniform.value.set(value))
+        }
+
+        addColor(folder, grid.uniforms.backgroundColor, 'backgroundColor')
+        folder.add(grid.uniforms.offset.value, 'x', 0, 1, 0.001).name('offsetX')
+        folder.add(grid.uniforms.offset.value, 'y', 0, 1, 0.001).name('offsetY')
+        folder.add(grid.uniforms.fadeNear, 'value', 0, 100, 0.1).name('fadeNear')
+        folder.add(grid.uniforms.fadeFar, 'value', 0, 100, 0.1).name('fadeFar')
+        folder.add(grid, 'projection', [ 'planar', 'triplanar' ]).onChange(grid.update)
+        folder.add(grid, 'space', [ 'world', 'object' ]).onChange(grid.update)
+        folder.add(grid.uniforms.sharpness, 'value', 1, 32, 0.1).name('sharpness')
+
+        const axesFolder = folder.addFolder('axes')
+        axesFolder.add({ visible: grid.uniforms.axes.value === 1 }, 'visible').onChange(value => grid.uniforms.axes.value = value ? 1 : 0)
+        axesFolder.add(grid.uniforms.axisThickness, 'value', 0, 0.2, 0.001).name('thickness')
+        addColor(axesFolder, grid.uniforms.axisXColor, 'xColor')
+        addColor(axesFolder, grid.uniforms.axisZColor, 'zColor')
+
+        const countController = folder.add(guiState, 'count', 0, 8, 1).onChange((value) =>
+        {
+            while(grid.levels.length < value)
+                grid.addLevel()
+            while(grid.levels.length > value)
+                grid.removeLevel(grid.levels[grid.levels.length - 1])
+        })
+
+        folder.add({ add: () => grid.addLevel() }, 'add').name('add level')
+
+        const updateLevelFolders = () =>
+        {
+            for(const levelFolder of levelFolders)
+                levelFolder.destroy()
+
+            levelFolders = grid.levels.map((level, index) =>
+            {
+                const levelFolder = folder.addFolder(`level ${index}`)
+                levelFolder.add(level.size, 'value', 0.001, 10, 0.001).name('size')
+                levelFolder.add(level.thickness, 'value', 0, 1, 0.001).name('thickness')
+                addColor(levelFolder, level.color, 'color')
+                levelFolder.add({ delete: () => grid.removeLevel(level) }, 'delete')
+
+                return levelFolder
+            })
+
+            guiState.count = grid.levels.length
+            countController.updateDisplay()
+        }
+
+        grid.onLevelsChange = updateLevelFolders
+        updateLevelFolders()
+
+        return folder
+    }
 
-const scaleUniform = uniform(0.1)
-const thicknessUniform = uniform(0.1)
-const offsetUniform = uniform(vec2(0, 0))
-const colorBackUniform = uniform(color('#171617'))
-const colorSmallUniform = uniform(color('#39364f'))
-const colorBigUniform = uniform(color('#705df2'))
-
-let finalColor = mix(
-    colorBackUniform,
-    colorSmallUniform,
-    projectedGrid(scaleUniform, thicknessUniform, offsetUniform)
-)
-finalColor = mix(
-    finalColor,
-    colorBigUniform,
-    projectedGrid(scaleUniform.mul(10), thicknessUniform.div(10), offsetUniform)
-)
-
-const gridMaterial = new MeshBasicNodeMaterial()
-gridMaterial.colorNode = vec4(finalColor, 1)
-
-// gui.add(scaleUniform, 'value', 0, 0.2, 0.001).name('scale')
-// gui.add(thicknessUniform, 'value', 0, 1, 0.001).name('thickness')
-// gui.add(offsetUniform.value, 'x', 0, 1, 0.001).name('offsetX')
-// gui.add(offsetUniform.value, 'y', 0, 1, 0.001).name('offsetY')
-// gui.addColor({ color: colorBackUniform.value.getHexString(THREE.SRGBColorSpace) }, 'color').onChange((value) => { colorBackUniform.value.set(value) }).name('colorBack')
-// gui.addColor({ color: colorSmallUniform.value.getHexString(THREE.SRGBColorSpace) }, 'color').onChange((value) => { colorSmallUniform.value.set(value) }).name('colorSmall')
-// gui.addColor({ color: colorBigUniform.value.getHexString(THREE.SRGBColorSpace) }, 'color').onChange((value) => { colorBigUniform.value.set(value) }).name('colorBig')
-
-export default gridMaterial
\ No newline at end of file
+    return grid
+}
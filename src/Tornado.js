@@ -0,0 +1,625 @@
+import * as THREE from 'three/webgpu'
+import { cos, float, min, atan2, uniform, color, positionLocal, sin, tslFn, uv, vec3, vec4, If, hash, instanceIndex, mix, storage, uint } from 'three/webgpu'
+import { depthFade, luminance, radialNoiseStack, scrollingNoiseStack } from './tslUtils'
+import { setBloomOutput } from './postProcessing'
+
+/**
+ * TSL functions
+ */
+const twistedCylinder = tslFn(([position, parabolStrength, parabolOffset, parabolAmplitude, time]) =>
+{
+    const angle = atan2(position.z, position.x)
+    const elevation = position.y
+
+    // Parabol
+    const radius = parabolStrength.mul(position.y.sub(parabolOffset)).pow(2).add(parabolAmplitude)
+
+    // Turbulences
+    const turbulence = sin(elevation.sub(time).mul(20).add(angle.mul(2))).mul(0.05)
+    radius.addAssign(turbulence)
+
+    const newPosition = vec3(
+        cos(angle).mul(radius),
+        elevation,
+        sin(angle).mul(radius)
+    )
+
+    return newPosition
+})
+
+// Same radius profile as twistedCylinder without the turbulences
+const funnelRadius = tslFn(([elevation, parabolStrength, parabolOffset, parabolAmplitude]) =>
+{
+    return parabolStrength.mul(elevation.sub(parabolOffset)).pow(2).add(parabolAmplitude)
+})
+
+/**
+ * Params
+ * Every tornado has its own copy, the uniforms and the group are updated from them
+ */
+const defaultParams = {
+    emissiveColor: '#ff8b4d',
+    timeScale: 0.15,
+    timeOffset: 0,
+    parabolStrength: 1,
+    parabolOffset: 0.3,
+    parabolAmplitude: 0.2,
+    positionX: 0,
+    positionZ: 0,
+    scale: 1,
+    pathEnabled: false,
+    pathSpeed: 1,
+    pathHelperVisible: true,
+    debrisColor: '#2e2622',
+    debrisSize: 0.012,
+    debrisOrbitSpeed: 12,
+    debrisLiftSpeed: 1.5,
+    debrisFlingStrength: 20,
+    debrisGravity: 8,
+    floorBloomIntensity: 1,
+    emissiveBloomIntensity: 1,
+    depthFade: true,
+    floorDepthFade: 0,
+    emissiveDepthFade: 0.1,
+    darkDepthFade: 0.1
+}
+
+const guiRanges = {
+    timeScale: [ -1, 1, 0.01 ],
+    timeOffset: [ 0, 100, 0.1 ],
+    parabolStrength: [ 0, 2, 0.01 ],
+    parabolOffset: [ 0, 1, 0.01 ],
+    parabolAmplitude: [ 0, 2, 0.01 ],
+    positionX: [ -10, 10, 0.01 ],
+    positionZ: [ -10, 10, 0.01 ],
+    scale: [ 0.1, 5, 0.01 ]
+}
+
+// Closed loop around the tornado position
+const defaultPathPoints = [
+    [ 1.5, 0 ],
+    [ 0, 1.2 ],
+    [ -1.5, 0 ],
+    [ 0, -1.2 ]
+]
+
+const debrisGuiRanges = {
+    debrisSize: [ 0, 0.05, 0.001 ],
+    debrisOrbitSpeed: [ 0, 40, 0.1 ],
+    debrisLiftSpeed: [ 0, 10, 0.01 ],
+    debrisFlingStrength: [ 0, 100, 0.1 ],
+    debrisGravity: [ 0, 40, 0.1 ]
+}
+
+// Share of each layer written to the emissive target, the dark layer writing none
+const bloomGuiRanges = {
+    floorBloomIntensity: [ 0, 5, 0.01 ],
+    emissiveBloomIntensity: [ 0, 5, 0.01 ]
+}
+
+// Distance over which each layer fades in front of the opaque geometry, 0 keeping the hard edge
+const depthFadeGuiRanges = {
+    floorDepthFade: [ 0, 1, 0.001 ],
+    emissiveDepthFade: [ 0, 1, 0.001 ],
+    darkDepthFade: [ 0, 1, 0.001 ]
+}
+
+// Debris thrown further than this radius, in the tornado space, are respawned at the base
+const debrisRespawnRadius = 3
+
+/**
+ * Tornado
+ * Floor, emissive, dark and debris layers owning their uniforms, materials and meshes
+ * Add `tornado.group` to the scene and call update() every frame with the timeline time, delta and the renderer
+ */
+export default class Tornado
+{
+    constructor({ noiseSource, debrisCount = 4096, pathPoints = defaultPathPoints, ...params } = {})
+    {
+        this.noiseSource = noiseSource
+        this.debrisCount = debrisCount
+        this.params = { ...defaultParams }
+        this.gui = null
+
+        this.uniforms = {
+            time: uniform(0),
+            emissiveColor: uniform(color(this.params.emissiveColor)),
+            parabolStrength: uniform(this.params.parabolStrength),
+            parabolOffset: uniform(this.params.parabolOffset),
+            parabolAmplitude: uniform(this.params.parabolAmplitude),
+            delta: uniform(0),
+            debrisColor: uniform(color(this.params.debrisColor)),
+            debrisSize: uniform(this.params.debrisSize),
+            debrisOrbitSpeed: uniform(this.params.debrisOrbitSpeed),
+            debrisLiftSpeed: uniform(this.params.debrisLiftSpeed),
+            debrisFlingStrength: uniform(this.params.debrisFlingStrength),
+            debrisGravity: uniform(this.params.debrisGravity),
+            floorBloomIntensity: uniform(this.params.floorBloomIntensity),
+            emissiveBloomIntensity: uniform(this.params.emissiveBloomIntensity),
+            floorDepthFade: uniform(this.params.floorDepthFade),
+            emissiveDepthFade: uniform(this.params.emissiveDepthFade),
+            darkDepthFade: uniform(this.params.darkDepthFade)
+        }
+
+        // The group stays at the tornado position while the body travels along the path
+        this.group = new THREE.Group()
+
+        this.body = new THREE.Group()
+        this.group.add(this.body)
+
+        this.setFloor()
+        this.setEmissive()
+        this.setDark()
+        this.setDebris()
+        this.setPath(pathPoints)
+        this.updateOutputs()
+
+        this.setParams(params)
+    }
+
+    setFloor()
+    {
+        this.floorMaterial = new THREE.MeshBasicNodeMaterial({ transparent: true, wireframe: false })
+
+        this.floorGeometry = new THREE.PlaneGeometry(1, 1, 1, 1)
+
+        this.floor = new THREE.Mesh(this.floorGeometry, this.floorMaterial)
+        this.floor.scale.setScalar(2)
+        this.floor.position.y = 0.01
+        this.floor.rotation.x = - Math.PI * 0.5
+        this.body.add(this.floor)
+    }
+
+    setEmissive()
+    {
+        const { time, parabolStrength, parabolOffset, parabolAmplitude } = this.uniforms
+
+        this.cylinderGeometry = new THREE.CylinderGeometry(1, 1, 1, 20, 20, true)
+        this.cylinderGeometry.translate(0, 0.5, 0)
+
+        this.emissiveMaterial = new THREE.MeshBasicNodeMaterial({ transparent: true, side: THREE.DoubleSide, wireframe: false })
+        this.emissiveMaterial.positionNode = twistedCylinder(positionLocal, parabolStrength, parabolOffset, parabolAmplitude.sub(0.05), time)
+
+        this.emissive = new THREE.Mesh(this.cylinderGeometry, this.emissiveMaterial)
+        this.body.add(this.emissive)
+    }
+
+    setDark()
+    {
+        const { time, parabolStrength, parabolOffset, parabolAmplitude } = this.uniforms
+
+        this.darkMaterial = new THREE.MeshBasicNodeMaterial({ transparent: true, side: THREE.DoubleSide, wireframe: false })
+        this.darkMaterial.positionNode = twistedCylinder(positionLocal, parabolStrength, parabolOffset, parabolAmplitude, time)
+
+        this.dark = new THREE.Mesh(this.cylinderGeometry, this.darkMaterial)
+        this.body.add(this.dark)
+    }
+
+    /**
+     * Debris
+     * Simulated in the tornado space so they follow its position and scale
+     * They orbit and rise along the funnel radius, get flung out at the top and fall back before respawning at the base
+     */
+    setDebris()
+    {
+        const { delta, parabolStrength, parabolOffset, parabolAmplitude } = this.uniforms
+        const { debrisColor, debrisSize, debrisOrbitSpeed, debrisLiftSpeed, debrisFlingStrength, debrisGravity } = this.uniforms
+        const count = this.debrisCount
+
+        // Positions then velocities in a single buffer, the instances only reading the first half
+        // Being drawn by the debris mesh, the buffer is released with its geometry
+        const debrisBuffer = storage(new THREE.StorageInstancedBufferAttribute(count * 2, 3), 'vec3', count * 2)
+
+        // Incremented on every step so the respawns don't repeat
+        const seed = uniform(Math.floor(Math.random() * 0xffffff), 'uint')
+        this.debrisSeed = seed
+
+        const random = (channel) => hash(instanceIndex.add(seed).add(uint(channel * 0x10000)))
+
+        // Particles stay at the same relative distance to the funnel wall
+        const getRadiusMultiplier = () => hash(instanceIndex.add(uint(0x123456))).remap(0.7, 1.3).toVar()
+
+        // Plain function so the assignments are added to the calling stack
+        const respawn = (position, velocity, elevation, radiusMultiplier) =>
+        {
+            const angle = random(0).mul(Math.PI * 2)
+            const radius = funnelRadius(elevation, parabolStrength, parabolOffset, parabolAmplitude).mul(radiusMultiplier)
+
+            position.assign(vec3(cos(angle).mul(radius), elevation, sin(angle).mul(radius)))
+            velocity.assign(vec3(0))
+        }
+
+        // Init
+        this.debrisInitCompute = tslFn(() =>
+        {
+            const position = debrisBuffer.element(instanceIndex)
+            const velocity = debrisBuffer.element(instanceIndex.add(count))
+
+            respawn(position, velocity, random(1), getRadiusMultiplier())
+        })().compute(count)
+
+        // Update
+        this.debrisUpdateCompute = tslFn(() =>
+        {
+            const position = debrisBuffer.element(instanceIndex)
+            const velocity = debrisBuffer.element(instanceIndex.add(count))
+            const radiusMultiplier = getRadiusMultiplier()
+
+            const angle = atan2(position.z, position.x).toVar()
+            const radius = position.xz.length().toVar()
+            const radialDirection = vec3(cos(angle), 0, sin(angle)).toVar()
+            const tangentDirection = vec3(sin(angle).negate(), 0, cos(angle)).toVar()
+
+            If(position.y.lessThan(1), () =>
+            {
+                // Orbit and rise, pulled toward the funnel wall
+                const targetRadius = funnelRadius(position.y, parabolStrength, parabolOffset, parabolAmplitude).mul(radiusMultiplier)
+                const targetVelocity = tangentDirection.mul(debrisOrbitSpeed).mul(targetRadius)
+                    .add(radialDirection.mul(targetRadius.sub(radius).mul(20)))
+                    .add(vec3(0, debrisLiftSpeed, 0))
+
+                velocity.assign(mix(velocity, targetVelocity, delta.abs().mul(10).min(1)))
+            })
+            .Else(() =>
+            {
+                // Flung out
+                velocity.addAssign(radialDirection.mul(debrisFlingStrength).sub(vec3(0, debrisGravity, 0)).mul(delta))
+            })
+
+            position.addAssign(velocity.mul(delta))
+
+            If(position.y.lessThan(0).or(position.xz.length().greaterThan(debrisRespawnRadius)), () =>
+            {
+                respawn(position, velocity, random(1).mul(0.1), radiusMultiplier)
+            })
+        })().compute(count)
+
+        this.debrisNeedsReset = true
+
+        // Material
+        this.debrisMaterial = new THREE.SpriteNodeMaterial({ transparent: true, depthWrite: false })
+        this.debrisMaterial.positionNode = debrisBuffer.toAttribute()
+        this.debrisMaterial.scaleNode = hash(instanceIndex).remap(0.3, 1).mul(debrisSize)
+        this.debrisMaterial.colorNode = tslFn(() =>
+        {
+            // Fade out while thrown away
+            const radius = debrisBuffer.toAttribute().xz.length()
+            const alpha = radius.smoothstep(debrisRespawnRadius, debrisRespawnRadius * 0.5)
+
+            return vec4(debrisColor, alpha)
+        })()
+
+        // Mesh
+        this.debrisGeometry = new THREE.PlaneGeometry(1, 1)
+        this.debris = new THREE.InstancedMesh(this.debrisGeometry, this.debrisMaterial, count)
+        this.debris.frustumCulled = false
+        this.body.add(this.debris)
+    }
+
+    resetDebris()
+    {
+        this.debrisNeedsReset = true
+    }
+
+    /**
+     * Path
+     * Closed spline in the tornado space, travelled at pathSpeed in the tornado time so it follows timeScale
+     */
+    setPath(points)
+    {
+        this.path = new THREE.CatmullRomCurve3(points.map(([ x, z ]) => new THREE.Vector3(x, 0, z)), true)
+
+        this.pathHelper = new THREE.Line(
+            new THREE.BufferGeometry(),
+            new THREE.LineBasicNodeMaterial({ color: '#ffffff', transparent: true, opacity: 0.3 })
+        )
+        this.pathHelper.position.y = 0.02
+        this.group.add(this.pathHelper)
+
+        this.updatePath()
+    }
+
+    updatePath()
+    {
+        this.path.updateArcLengths()
+
+        this.pathHelper.geometry.dispose()
+        this.pathHelper.geometry = new THREE.BufferGeometry().setFromPoints(this.path.getSpacedPoints(200))
+    }
+
+    addPathPoint(x = 0, z = 0)
+    {
+        const point = new THREE.Vector3(x, 0, z)
+        this.path.points.push(point)
+        this.updatePath()
+        this.onPathChange?.()
+
+        return point
+    }
+
+    removePathPoint(point)
+    {
+        // A closed spline needs at least 2 points
+        if(this.path.points.length <= 2)
+            return
+
+        this.path.points.splice(this.path.points.indexOf(point), 1)
+        this.updatePath()
+        this.onPathChange?.()
+    }
+
+    // Ground position and radius of the funnel base, used by the ground scar
+    getFootprint()
+    {
+        const { parabolStrength, parabolOffset, parabolAmplitude, scale } = this.params
+
+        return {
+            x: this.group.position.x + this.body.position.x,
+            z: this.group.position.z + this.body.position.z,
+            // Funnel radius at the ground, doubled since the scar stamps fade out toward their radius
+            radius: ((parabolStrength * parabolOffset) ** 2 + parabolAmplitude) * 2 * scale
+        }
+    }
+
+    /**
+     * Outputs
+     * They read the noise source when building, call again after changing it
+     * Each layer also writes its emissive target for the selective bloom
+     * With depthFade, the alpha fades where the layers meet the opaque geometry instead of cutting through it
+     */
+    updateOutputs()
+    {
+        const { time, emissiveColor, floorBloomIntensity, emissiveBloomIntensity, floorDepthFade, emissiveDepthFade, darkDepthFade } = this.uniforms
+        const noiseSource = this.noiseSource
+        const fade = (distance) => this.params.depthFade ? depthFade(distance) : float(1)
+        this.outputsDepthFade = this.params.depthFade
+
+        // Floor
+        const floorOutput = tslFn(() =>
+        {
+            // Noise
+            const noise = radialNoiseStack(noiseSource, uv(), time, [ 'r', 'b' ])
+
+            // Outer fade
+            const distanceToCenter = uv().sub(0.5).toVar()
+            const outerFade = min(
+                distanceToCenter.length().smoothstep(0.5, 0.1),
+                distanceToCenter.length().smoothstep(0, 0.2)
+            )
+
+            // Effect
+            const effect = noise.mul(outerFade).toVar()
+
+            // Output
+            return vec4(
+                emissiveColor.mul(float(0.2).step(effect)).mul(3), // Emissive
+                effect.smoothstep(0, 0.01).mul(fade(floorDepthFade)) // Alpha
+            )
+        })()
+        setBloomOutput(this.floorMaterial, floorOutput, floorBloomIntensity)
+
+        // Emissive
+        const emissiveOutput = tslFn(() =>
+        {
+            // Noise
+            const noise = scrollingNoiseStack(noiseSource, uv(), time, [ 'r', 'g' ])
+
+            // Outer fade
+            const outerFade = min(
+                uv().y.smoothstep(0, 0.1),
+                uv().y.smoothstep(1, 0.6)
+            )
+
+            // Effect
+            const effect = noise.mul(outerFade)
+
+            const emissiveColorLuminance = luminance(emissiveColor)
+
+            // Output
+            return vec4(
+                emissiveColor.mul(1.2).div(emissiveColorLuminance), // Emissive
+                effect.smoothstep(0, 0.1).mul(fade(emissiveDepthFade)) // Alpha
+            )
+        })()
+        setBloomOutput(this.emissiveMaterial, emissiveOutput, emissiveBloomIntensity)
+
+        // Dark
+        const darkOutput = tslFn(() =>
+        {
+            // Noise
+            const noise = scrollingNoiseStack(noiseSource, uv(), time.add(123.4), [ 'g', 'b' ])
+
+            // Outer fade
+            const outerFade = min(
+                uv().y.smoothstep(0, 0.2),
+                uv().y.smoothstep(1, 0.6)
+            )
+
+            // Effect
+            const effect = noise.mul(outerFade)
+
+            return vec4(
+                vec3(0),
+                effect.smoothstep(0, 0.01).mul(fade(darkDepthFade))
+            )
+        })()
+        setBloomOutput(this.darkMaterial, darkOutput, 0)
+    }
+
+    /**
+     * Params
+     */
+    setParams(params = {})
+    {
+        Object.assign(this.params, params)
+
+        this.uniforms.emissiveColor.value.set(this.params.emissiveColor)
+        this.uniforms.parabolStrength.value = this.params.parabolStrength
+        this.uniforms.parabolOffset.value = this.params.parabolOffset
+        this.uniforms.parabolAmplitude.value = this.params.parabolAmplitude
+        this.uniforms.debrisColor.value.set(this.params.debrisColor)
+
+        for(const name in debrisGuiRanges)
+            this.uniforms[name].value = this.params[name]
+
+        for(const name in bloomGuiRanges)
+            this.uniforms[name].value = this.params[name]
+
+        for(const name in depthFadeGuiRanges)
+            this.uniforms[name].value = this.params[name]
+
+        // Toggling the depth fade changes the outputs
+        if(this.params.depthFade !== this.outputsDepthFade)
+            this.updateOutputs()
+
+        this.group.position.set(this.params.positionX, 0, this.params.positionZ)
+        this.body.scale.setScalar(this.params.scale)
+        this.pathHelper.visible = this.params.pathEnabled && this.params.pathHelperVisible
+
+        if(this.gui)
+        {
+            for(const controller of this.gui.controllersRecursive())
+                controller.updateDisplay()
+        }
+    }
+
+    /**
+     * Update
+     * Time and delta are the timeline ones, scaled by the tornado timeScale
+     */
+    update(time, delta, renderer)
+    {
+        this.uniforms.time.value = time * this.params.timeScale + this.params.timeOffset
+        this.uniforms.delta.value = delta * this.params.timeScale
+
+        // Path
+        if(this.params.pathEnabled)
+        {
+            const progress = this.uniforms.time.value * this.params.pathSpeed / this.path.getLength()
+            this.path.getPointAt(((progress % 1) + 1) % 1, this.body.position)
+        }
+        else
+        {
+            this.body.position.set(0, 0, 0)
+        }
+
+        if(this.debrisNeedsReset)
+        {
+            renderer.compute(this.debrisInitCompute)
+            this.debrisNeedsReset = false
+        }
+
+        if(this.uniforms.delta.value !== 0)
+        {
+            this.debrisSeed.value++
+            renderer.compute(this.debrisUpdateCompute)
+        }
+    }
+
+    /**
+     * GUI
+     */
+    addGui(gui, title = 'tornado')
+    {
+        this.gui = gui.addFolder(title)
+
+        this.gui.addColor(this.params, 'emissiveColor').onChange(value => this.setParams({ emissiveColor: value }))
+
+        for(const name in guiRanges)
+            this.gui.add(this.params, name, ...guiRanges[name]).onChange(value => this.setParams({ [name]: value }))
+
+        const debrisGui = this.gui.addFolder('debris')
+        debrisGui.addColor(this.params, 'debrisColor').onChange(value => this.setParams({ debrisColor: value }))
+
+        for(const name in debrisGuiRanges)
+            debrisGui.add(this.params, name, ...debrisGuiRanges[name]).onChange(value => this.setParams({ [name]: value }))
+
+        debrisGui.add(this, 'resetDebris').name('reset')
+
+        const bloomGui = this.gui.addFolder('bloom')
+
+        for(const name in bloomGuiRanges)
+            bloomGui.add(this.params, name, ...bloomGuiRanges[name]).onChange(value => this.setParams({ [name]: value }))
+
+        const depthFadeGui = this.gui.addFolder('depth fade')
+        depthFadeGui.add(this.params, 'depthFade').name('enabled').onChange(value => this.setParams({ depthFade: value }))
+
+        for(const name in depthFadeGuiRanges)
+            depthFadeGui.add(this.params, name, ...depthFadeGuiRanges[name]).onChange(value => this.setParams({ [name]: value }))
+
+        this.addPathGui(this.gui)
+
+        return this.gui
+    }
+
+    // Point folders are named after their index and the count comes first so presets can restore any number of points
+    addPathGui(gui)
+    {
+        const folder = gui.addFolder('path')
+        const guiState = { count: this.path.points.length }
+        let pointFolders = []
+
+        for(const name of [ 'pathEnabled', 'pathHelperVisible' ])
+            folder.add(this.params, name).onChange(value => this.setParams({ [name]: value }))
+        folder.add(this.params, 'pathSpeed', 0, 20, 0.01).onChange(value => this.setParams({ pathSpeed: value }))
+
+        const countController = folder.add(guiState, 'count', 2, 16, 1).onChange((value) =>
+        {
+            while(this.path.points.length < value)
+                this.addPathPoint()
+            while(this.path.points.length > value)
+                this.removePathPoint(this.path.points[this.path.points.length - 1])
+        })
+
+        folder.add({ add: () => this.addPathPoint() }, 'add').name('add point')
+
+        this.onPathChange = () =>
+        {
+            for(const pointFolder of pointFolders)
+                pointFolder.destroy()
+
+            pointFolders = this.path.points.map((point, index) =>
+            {
+                const pointFolder = folder.addFolder(`point ${index}`)
+                pointFolder.add(point, 'x', -10, 10, 0.01).onChange(() => this.updatePath())
+                pointFolder.add(point, 'z', -10, 10, 0.01).onChange(() => this.updatePath())
+                pointFolder.add({ delete: () => this.removePathPoint(point) }, 'delete')
+
+                return pointFolder
+            })
+
+            guiState.count = this.path.points.length
+            countController.updateDisplay()
+        }
+        this.onPathChange()
+
+        return folder
+    }
+
+    /**
+     * Dispose
+     */
+    dispose()
+    {
+        this.group.removeFromParent()
+
+        this.floorGeometry.dispose()
+        this.cylinderGeometry.dispose()
+        this.floorMaterial.dispose()
+        this.emissiveMaterial.dispose()
+        this.darkMaterial.dispose()
+        this.debrisGeometry.dispose()
+        this.debrisMaterial.dispose()
+        this.debris.dispose()
+        this.debrisInitCompute.dispose()
+        this.debrisUpdateCompute.dispose()
+        this.pathHelper.geometry.dispose()
+        this.pathHelper.material.dispose()
+
+        if(this.gui)
+        {
+            this.gui.destroy()
+            this.gui = null
+        }
+    }
+}
@@ -0,0 +1,99 @@
+import { WebGPURenderer } from 'three/webgpu'
+
+/**
+ * Backend
+ * WebGPU when the browser exposes it and the WebGL 2 backend of WebGPURenderer otherwise
+ * `?backend=webgl` forces the fallback to compare both on the same machine
+ */
+const backendParameter = 'backend'
+
+export const getRequestedBackend = () =>
+{
+    const requested = new URL(window.location.href).searchParams.get(backendParameter)
+
+    if(requested === 'webgl' || !navigator.gpu)
+        return 'webgl'
+
+    return 'webgpu'
+}
+
+export const createRenderer = (parameters = {}) =>
+{
+    return new WebGPURenderer({ ...parameters, forceWebGL: getRequestedBackend() === 'webgl' })
+}
+
+// Whether the renderer ended up on the WebGPU backend, known after its initialization
+export const isWebGPUBackendAsync = async (renderer) =>
+{
+    if(!renderer._initialized)
+        await renderer.init()
+
+    return renderer.backend.isWebGPUBackend === true
+}
+
+/**
+ * Probe
+ * Waits for the backend to be initialized since WebGPURenderer can still fall back to WebGL 2 if no adapter is found
+ * `webGPUFeatures` are the example features turned off without the WebGPU backend, reported as degraded
+ */
+export const probeCapabilities = async (renderer, { webGPUFeatures = [] } = {}) =>
+{
+    // The plain WebGLRenderer of the vanilla example
+    if(renderer.isWebGLRenderer)
+        return { backend: 'WebGL 2', features: {}, degraded: [] }
+
+    // Initializes the backend if nothing rendered yet, the WebGL backend maps the WebGPU feature names to its extensions
+    const timestampQuery = await renderer.hasFeatureAsync('timestamp-query')
+    const isWebGPU = renderer.backend.isWebGPUBackend === true
+
+    const features = {
+        compute: isWebGPU ? 'native' : 'transform feedback',
+        storageTextures: isWebGPU,
+        float32Filterable: isWebGPU ? renderer.hasFeature('float32-filterable') : renderer.backend.extensions.has('OES_texture_float_linear'),
+        timestampQuery
+    }
+
+    const degraded = []
+
+    if(features.compute !== 'native')
+        degraded.push('compute emulated with transform feedback')
+    if(!features.storageTextures)
+        degraded.push('no storage textures')
+    if(!features.float32Filterable)
+        degraded.push('no float32 texture filtering')
+    if(!features.timestampQuery)
+        degraded.push('no GPU timings')
+    if(!isWebGPU)
+        degraded.push(...webGPUFeatures.map(feature => `no ${feature}`))
+
+    return {
+        backend: isWebGPU ? 'WebGPU' : 'WebGL 2',
+        requestedBackend: getRequestedBackend(),
+        features,
+        degraded
+    }
+}
+
+/**
+ * Banner
+ */
+export const createCapabilitiesBanner = (capabilities) =>
+{
+    const element = document.createElement('div')
+    element.classList.add('capabilities')
+
+    const backendElement = document.createElement('strong')
+    backendElement.textContent = capabilities.backend
+    element.appendChild(backendElement)
+
+    if(capabilities.requestedBackend === 'webgpu' && capabilities.backend !== 'WebGPU')
+        element.append(' (WebGPU adapter unavailable)')
+
+    if(capabilities.degraded.length)
+    {
+        element.classList.add('is-degraded')
+        element.append(` · ${capabilities.degraded.join(', ')}`)
+    }
+
+    return element
+}
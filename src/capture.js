@@ -0,0 +1,203 @@
+import { Vector2 } from 'three/webgpu'
+import createZip from './zip'
+
+/**
+ * Capture
+ * Renders a number of frames at a fixed timestep and a resolution independent of the window
+ * The frames are saved as a zip of PNGs or as a WebM recorded with MediaRecorder
+ */
+const wait = (duration) => new Promise(resolve => setTimeout(resolve, duration))
+
+const download = (blob, fileName) =>
+{
+    const link = document.createElement('a')
+    link.href = URL.createObjectURL(blob)
+    link.download = fileName
+    link.click()
+
+    // Revoking right after the click can cancel the download
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000)
+}
+
+/**
+ * Writers
+ */
+const createPngWriter = (canvas, name) =>
+{
+    const files = []
+
+    return {
+        extension: 'zip',
+        addFrame: async (index) =>
+        {
+            const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'))
+            files.push({ name: `${name}-${String(index).padStart(4, '0')}.png`, data: new Uint8Array(await blob.arrayBuffer()) })
+        },
+        finish: async () => createZip(files),
+        cancel: () =>
+        {
+            files.length = 0
+        }
+    }
+}
+
+const createWebmWriter = (canvas, fps) =>
+{
+    const stream = canvas.captureStream(0)
+    const track = stream.getVideoTracks()[0]
+    const mimeType = [ 'video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm' ].find(type => MediaRecorder.isTypeSupported(type))
+    const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: 20e6 })
+    const chunks = []
+    recorder.addEventListener('dataavailable', event => chunks.push(event.data))
+    recorder.start()
+
+    const startTime = performance.now()
+
+    return {
+        extension: 'webm',
+        addFrame: async (index) =>
+        {
+            track.requestFrame()
+
+            // MediaRecorder timestamps the frames with the wall clock so they are paced at the frame rate
+            await wait(Math.max(0, startTime + (index + 1) * 1000 / fps - performance.now()))
+        },
+        finish: () => new Promise(resolve =>
+        {
+            recorder.addEventListener('stop', () => resolve(new Blob(chunks, { type: 'video/webm' })))
+            recorder.stop()
+            track.stop()
+        }),
+        cancel: () =>
+        {
+            recorder.stop()
+            track.stop()
+        }
+    }
+}
+
+/**
+ * `render` renders a single frame and may return a promise, `animate` is the loop given back to the renderer once done
+ */
+export default function createCapture({ name, renderer, camera, timeline, render, animate })
+{
+    const capture = {}
+    capture.frames = 120
+    capture.fps = 30
+    capture.width = 1920
+    capture.height = 1080
+    capture.format = 'png'
+    capture.capturing = false
+
+    let disposed = false
+
+    capture.start = async () =>
+    {
+        if(capture.capturing)
+            return
+
+        capture.capturing = true
+        capture.onChange?.()
+
+        // Save the state changed for the capture
+        const previousSize = renderer.getSize(new Vector2())
+        const previousPixelRatio = renderer.getPixelRatio()
+        const previousAspect = camera.aspect
+        const previousTimeline = {
+            playing: timeline.playing,
+            fixedTimestep: timeline.fixedTimestep,
+            timestep: timeline.timestep
+        }
+
+        renderer.setAnimationLoop(null)
+        renderer.setPixelRatio(1)
+        renderer.setSize(capture.width, capture.height, false)
+        camera.aspect = capture.width / capture.height
+        camera.updateProjectionMatrix()
+
+        timeline.playing = true
+        timeline.fixedTimestep = true
+        timeline.timestep = 1 / capture.fps
+
+        // Frames are copied to a 2D canvas since WebGPU and WebGL canvases can't be read once presented
+        const frameCanvas = document.createElement('canvas')
+        frameCanvas.width = capture.width
+        frameCanvas.height = capture.height
+        const frameContext = frameCanvas.getContext('2d')
+
+        try
+        {
+            const writer = capture.format === 'webm' ? createWebmWriter(frameCanvas, capture.fps) : createPngWriter(frameCanvas, name)
+
+            for(let i = 0; i < capture.frames; i++)
+            {
+                // The example was left during the capture
+                if(disposed)
+                {
+                    writer.cancel()
+                    return
+                }
+
+                timeline.update()
+                await render()
+
+                // The snapshot is taken when called, before the frame gets presented
+                const bitmap = await createImageBitmap(renderer.domElement)
+                frameContext.drawImage(bitmap, 0, 0)
+                bitmap.close()
+
+                await writer.addFrame(i)
+            }
+
+            download(await writer.finish(), `${name}.${writer.extension}`)
+        }
+        catch(error)
+        {
+            console.warn('Capture failed', error)
+        }
+        finally
+        {
+            capture.capturing = false
+
+            if(!disposed)
+            {
+                Object.assign(timeline, previousTimeline)
+
+                renderer.setPixelRatio(previousPixelRatio)
+                renderer.setSize(previousSize.x, previousSize.y)
+                camera.aspect = previousAspect
+                camera.updateProjectionMatrix()
+                renderer.setAnimationLoop(animate)
+
+                capture.onChange?.()
+            }
+        }
+    }
+
+    // Stops a running capture without giving the loop back
+    capture.dispose = () =>
+    {
+        disposed = true
+    }
+
+    /**
+     * GUI
+     */
+    capture.addGui = (gui) =>
+    {
+        const folder = gui.addFolder('capture').close()
+
+        folder.add(capture, 'frames', 1, 1200, 1)
+        folder.add(capture, 'fps', [ 24, 25, 30, 50, 60 ])
+        folder.add(capture, 'width', 16, 4096, 1)
+        folder.add(capture, 'height', 16, 4096, 1)
+        folder.add(capture, 'format', [ 'png', 'webm' ])
+        const startController = folder.add(capture, 'start')
+
+        capture.onChange = () => startController.enable(!capture.capturing)
+
+        return folder
+    }
+
+    return capture
+}
@@ -0,0 +1,20 @@
+/**
+ * Dispose the geometries and materials of every object in the scene
+ * Textures only referenced by nodes aren't reachable from here and have to be disposed by the caller
+ */
+export default function disposeScene(scene)
+{
+    scene.traverse((child) =>
+    {
+        if(child.geometry)
+            child.geometry.dispose()
+
+        if(child.material)
+        {
+            const materials = Array.isArray(child.material) ? child.material : [ child.material ]
+
+            for(const material of materials)
+                material.dispose()
+        }
+    })
+}
@@ -0,0 +1,271 @@
+import { Vector3 } from 'three/webgpu'
+import { cross, dot, exp, max, mx_noise_vec3, uniform, vec3 } from 'three/tsl'
+
+// Curl of a noise vector field, divergence free so the particles swirl without clumping
+const curlNoise = (position) =>
+{
+    const epsilon = 0.01
+    const dx = vec3(epsilon, 0, 0)
+    const dy = vec3(0, epsilon, 0)
+    const dz = vec3(0, 0, epsilon)
+
+    const x0 = mx_noise_vec3(position.sub(dx))
+    const x1 = mx_noise_vec3(position.add(dx))
+    const y0 = mx_noise_vec3(position.sub(dy))
+    const y1 = mx_noise_vec3(position.add(dy))
+    const z0 = mx_noise_vec3(position.sub(dz))
+    const z1 = mx_noise_vec3(position.add(dz))
+
+    return vec3(
+        y1.z.sub(y0.z).sub(z1.y.sub(z0.y)),
+        z1.x.sub(z0.x).sub(x1.z.sub(x0.z)),
+        x1.y.sub(x0.y).sub(y1.x.sub(y0.x))
+    ).div(epsilon * 2)
+}
+
+/**
+ * Field types
+ * Params are [ value, min, max, step ], array values becoming vec3 uniforms
+ * `force` returns the acceleration applied at the particle position and velocity
+ */
+const fieldTypes = {
+    vortex: {
+        params: {
+            center: [ [ 0, 0, 0 ], -4, 4, 0.01 ],
+            axis: [ [ 0, 1, 0 ], -1, 1, 0.01 ],
+            strength: [ 2, 0, 20, 0.01 ],
+            radius: [ 1, 0.01, 10, 0.01 ]
+        },
+        force: ({ center, axis, strength, radius }, { position }) =>
+        {
+            const toParticle = position.sub(center)
+            const falloff = exp(toParticle.lengthSq().div(radius.mul(radius)).negate())
+
+            return cross(axis.normalize(), toParticle).mul(strength).mul(falloff)
+        }
+    },
+    curlNoise: {
+        params: {
+            scale: [ 1, 0.01, 10, 0.01 ],
+            speed: [ 0.2, 0, 5, 0.01 ],
+            strength: [ 1, 0, 20, 0.01 ]
+        },
+        force: ({ scale, speed, strength }, { position, time }) =>
+        {
+            return curlNoise(position.mul(scale).add(time.mul(speed))).mul(strength)
+        }
+    },
+    wind: {
+        params: {
+            direction: [ [ 1, 0, 0 ], -1, 1, 0.01 ],
+            speed: [ 1, 0, 10, 0.01 ],
+            strength: [ 0.5, 0, 10, 0.01 ]
+        },
+        // Pulls the velocity toward the wind one
+        force: ({ direction, speed, strength }, { velocity }) =>
+        {
+            return direction.normalize().mul(speed).sub(velocity).mul(strength)
+        }
+    },
+    drag: {
+        params: {
+            linear: [ 0.5, 0, 10, 0.01 ],
+            quadratic: [ 0.1, 0, 10, 0.01 ]
+        },
+        force: ({ linear, quadratic }, { velocity }) =>
+        {
+            return velocity.mul(linear.add(velocity.length().mul(quadratic))).negate()
+        }
+    },
+    planeRepulsor: {
+        params: {
+            normal: [ [ 0, 1, 0 ], -1, 1, 0.01 ],
+            offset: [ -1, -4, 4, 0.01 ],
+            radius: [ 0.5, 0.01, 4, 0.01 ],
+            strength: [ 10, 0, 100, 0.1 ]
+        },
+        // Full strength behind the plane, fading over the radius in front of it
+        force: ({ normal, offset, radius, strength }, { position }) =>
+        {
+            const planeNormal = normal.normalize()
+            const signedDistance = dot(position, planeNormal).sub(offset)
+
+            return planeNormal.mul(strength).mul(signedDistance.div(radius).oneMinus().saturate())
+        }
+    },
+    sphereRepulsor: {
+        params: {
+            center: [ [ 0, 0, 0 ], -4, 4, 0.01 ],
+            radius: [ 1, 0.01, 4, 0.01 ],
+            strength: [ 10, 0, 100, 0.1 ]
+        },
+        force: ({ center, radius, strength }, { position }) =>
+        {
+            const toParticle = position.sub(center)
+            const distance = toParticle.length()
+
+            return toParticle.div(max(distance, 0.0001)).mul(strength).mul(distance.div(radius).oneMinus().saturate())
+        }
+    },
+    turbulenceVolume: {
+        params: {
+            center: [ [ 0, 0, 0 ], -4, 4, 0.01 ],
+            size: [ [ 1, 1, 1 ], 0.01, 4, 0.01 ],
+            scale: [ 2, 0.01, 10, 0.01 ],
+            speed: [ 0.5, 0, 5, 0.01 ],
+            strength: [ 2, 0, 20, 0.01 ]
+        },
+        // Noise force inside a box of half extents `size`, softened near the faces
+        force: ({ center, size, scale, speed, strength }, { position, time }) =>
+        {
+            const local = position.sub(center).abs().div(size)
+            const mask = local.x.smoothstep(1, 0.8).mul(local.y.smoothstep(1, 0.8)).mul(local.z.smoothstep(1, 0.8))
+
+            return mx_noise_vec3(position.mul(scale).add(time.mul(speed))).mul(strength).mul(mask)
+        }
+    }
+}
+
+/**
+ * Force fields
+ * Stack of fields whose forces are summed, the node returned by `force()` only containing the enabled ones
+ * `onChange` is called whenever that node has to be generated again, fields being added, removed or toggled
+ * The stack is also exposed as a comma separated text of the field types so presets restore it
+ */
+export default function createForceFields({ time, stack = '', onChange = null } = {})
+{
+    const forceFields = {}
+    forceFields.fields = []
+
+    const createField = (type) =>
+    {
+        const field = { type, enabled: true, uniforms: {} }
+
+        for(const name in fieldTypes[type].params)
+        {
+            const [ value ] = fieldTypes[type].params[name]
+            field.uniforms[name] = uniform(Array.isArray(value) ? new Vector3(...value) : value)
+        }
+
+        return field
+    }
+
+    const changed = () =>
+    {
+        forceFields.stack = forceFields.fields.map(field => field.type).join(',')
+        forceFields.onFieldsChange?.()
+        onChange?.()
+    }
+
+    /**
+     * Fields
+     */
+    forceFields.addField = (type) =>
+    {
+        const field = createField(type)
+        forceFields.fields.push(field)
+        changed()
+
+        return field
+    }
+
+    forceFields.removeField = (field) =>
+    {
+        forceFields.fields.splice(forceFields.fields.indexOf(field), 1)
+        changed()
+    }
+
+    // Unknown types are dropped, fields keep their params when their type stays at the same index
+    const parseStack = (value) =>
+    {
+        const types = value.split(',').map(type => type.trim()).filter(type => fieldTypes[type])
+
+        return types.map((type, index) =>
+        {
+            const field = forceFields.fields[index]
+
+            return field && field.type === type ? field : createField(type)
+        })
+    }
+
+    forceFields.setStack = (value) =>
+    {
+        forceFields.fields = parseStack(value)
+        changed()
+    }
+
+    forceFields.fields = parseStack(stack)
+    forceFields.stack = forceFields.fields.map(field => field.type).join(',')
+
+    /**
+     * Force
+     */
+    forceFields.force = (position, velocity) =>
+    {
+        let force = vec3(0)
+
+        for(const field of forceFields.fields)
+        {
+            if(field.enabled)
+                force = force.add(fieldTypes[field.type].force(field.uniforms, { position, velocity, time }))
+        }
+
+        return force
+    }
+
+    /**
+     * GUI
+     * The stack text comes first so presets create the fields before their folders get loaded
+     */
+    forceFields.addGui = (gui, title = 'force fields') =>
+    {
+        const folder = gui.addFolder(title)
+        const guiState = { type: Object.keys(fieldTypes)[0] }
+        let fieldFolders = []
+
+        const stackController = folder.add(forceFields, 'stack').onFinishChange(forceFields.setStack)
+        folder.add(guiState, 'type', Object.keys(fieldTypes))
+        folder.add({ add: () => forceFields.addField(guiState.type) }, 'add').name('add field')
+
+        const updateFieldFolders = () =>
+        {
+            for(const fieldFolder of fieldFolders)
+                fieldFolder.destroy()
+
+            fieldFolders = forceFields.fields.map((field, index) =>
+            {
+                const fieldFolder = folder.addFolder(`${field.type} ${index}`)
+                fieldFolder.add(field, 'enabled').onChange(changed)
+
+                for(const name in fieldTypes[field.type].params)
+                {
+                    const [ , ...range ] = fieldTypes[field.type].params[name]
+                    const fieldUniform = field.uniforms[name]
+
+                    if(fieldUniform.value.isVector3)
+                    {
+                        for(const axis of [ 'x', 'y', 'z' ])
+                            fieldFolder.add(fieldUniform.value, axis, ...range).name(`${name}${axis.toUpperCase()}`)
+                    }
+                    else
+                    {
+                        fieldFolder.add(fieldUniform, 'value', ...range).name(name)
+                    }
+                }
+
+                fieldFolder.add({ delete: () => forceFields.removeField(field) }, 'delete')
+
+                return fieldFolder
+            })
+
+            stackController.updateDisplay()
+        }
+
+        forceFields.onFieldsChange = updateFieldFolders
+        updateFieldFolders()
+
+        return folder
+    }
+
+    return forceFields
+}
@@ -0,0 +1,121 @@
+import createPresets from './presets'
+import { createCapabilitiesBanner, probeCapabilities } from './capabilities'
+
+/**
+ * Examples
+ * Each module default exports an init({ canvas }) function returning { gui, renderer, dispose }
+ */
+const examples = [
+    { name: 'tornado', title: 'Tornado', load: () => import('./script.js') },
+    { name: 'sphere', title: 'Sphere VFX', load: () => import('./script_sphere_vfx.js') },
+    { name: 'flame', title: 'Flame VFX', load: () => import('./script_flame_vfx.js') },
+    { name: 'attractor-particles', title: 'Attractor particles', load: () => import('./script_attractor_particles.js') },
+    { name: 'attractor-particles-vanilla', title: 'Attractor particles (WebGL)', load: () => import('./script_attractor_particles_vanilla.js') }
+]
+
+/**
+ * Gallery
+ */
+const galleryElement = document.querySelector('.gallery')
+const listElement = galleryElement.querySelector('.gallery-list')
+const backElement = document.querySelector('.gallery-back')
+
+for(const example of examples)
+{
+    const itemElement = document.createElement('li')
+    const linkElement = document.createElement('a')
+    linkElement.href = `#${example.name}`
+    linkElement.textContent = example.title
+    itemElement.appendChild(linkElement)
+    listElement.appendChild(itemElement)
+}
+
+/**
+ * Router
+ */
+let current = null
+let navigationId = 0
+
+const teardown = () =>
+{
+    if(!current)
+        return
+
+    current.instance.dispose()
+    current.canvas.remove()
+    current.banner?.remove()
+    current = null
+}
+
+const route = async () =>
+{
+    const id = ++navigationId
+    const name = window.location.hash.slice(1)
+    const example = examples.find(example => example.name === name)
+
+    teardown()
+
+    galleryElement.hidden = !!example
+    backElement.hidden = !example
+
+    if(!example)
+        return
+
+    // A failing example is torn down and the gallery shown again instead of a blank canvas
+    let canvas = null
+    let instance = null
+
+    try
+    {
+        const module = await example.load()
+
+        // Another navigation happened while the module was loading
+        if(id !== navigationId)
+            return
+
+        canvas = document.createElement('canvas')
+        canvas.classList.add('webgl')
+        document.body.appendChild(canvas)
+
+        instance = module.default({ canvas })
+
+        // Presets, restoring the shared one if the URL holds it
+        const presets = createPresets({ name: example.name, gui: instance.gui })
+        presets.loadFromUrl()
+
+        current = { canvas, instance, presets, banner: null }
+    }
+    catch(error)
+    {
+        console.warn(`Couldn't start the ${example.name} example`, error)
+        instance?.dispose()
+        canvas?.remove()
+
+        // Dropping the hash without a hashchange so following the same link retries the example
+        history.replaceState(null, '', `${window.location.pathname}${window.location.search}`)
+
+        galleryElement.hidden = false
+        backElement.hidden = true
+
+        return
+    }
+
+    // Active backend and degraded features, known once the renderer is initialized
+    try
+    {
+        const capabilities = await probeCapabilities(instance.renderer, { webGPUFeatures: instance.webGPUFeatures })
+
+        if(id !== navigationId)
+            return
+
+        current.banner = createCapabilitiesBanner(capabilities)
+        document.body.appendChild(current.banner)
+    }
+    catch(error)
+    {
+        console.warn('Couldn\'t probe the renderer capabilities', error)
+    }
+}
+
+window.addEventListener('hashchange', route)
+route()
@@ -0,0 +1,127 @@
+import { CanvasTexture, LinearFilter, SRGBColorSpace } from 'three/webgpu'
+import { texture, vec2 } from 'three/tsl'
+
+/**
+ * Gradient ramp
+ * Color stops drawn into a 1 pixel high canvas texture, redrawn on every edit so the materials sampling it update live
+ */
+export default function createGradientRamp({ stops = [ { position: 0, color: '#000000' }, { position: 1, color: '#ffffff' } ], resolution = 256 } = {})
+{
+    const ramp = {}
+    ramp.stops = stops.map(stop => ({ ...stop }))
+
+    ramp.element = document.createElement('canvas')
+    ramp.element.width = resolution
+    ramp.element.height = 1
+    const context = ramp.element.getContext('2d')
+
+    ramp.texture = new CanvasTexture(ramp.element)
+    ramp.texture.colorSpace = SRGBColorSpace
+    ramp.texture.minFilter = LinearFilter
+    ramp.texture.generateMipmaps = false
+
+    /**
+     * Drawing
+     */
+    ramp.update = () =>
+    {
+        const fillGradient = context.createLinearGradient(0, 0, ramp.element.width, 0)
+        const sortedStops = [ ...ramp.stops ].sort((a, b) => a.position - b.position)
+
+        for(const stop of sortedStops)
+            fillGradient.addColorStop(Math.min(Math.max(stop.position, 0), 1), stop.color)
+
+        context.clearRect(0, 0, ramp.element.width, ramp.element.height)
+        context.fillStyle = sortedStops.length ? fillGradient : '#000000'
+        context.fillRect(0, 0, ramp.element.width, ramp.element.height)
+
+        ramp.texture.needsUpdate = true
+    }
+
+    /**
+     * Stops
+     */
+    ramp.addStop = (position = 0.5, color = '#ffffff') =>
+    {
+        const stop = { position, color }
+        ramp.stops.push(stop)
+        ramp.update()
+        ramp.onStopsChange?.()
+
+        return stop
+    }
+
+    ramp.removeStop = (stop) =>
+    {
+        ramp.stops.splice(ramp.stops.indexOf(stop), 1)
+        ramp.update()
+        ramp.onStopsChange?.()
+    }
+
+    // Node reading the ramp, progress being in [0, 1]
+    ramp.sample = (progress) =>
+    {
+        return texture(ramp.texture, vec2(progress, 0.5))
+    }
+
+    ramp.dispose = () =>
+    {
+        ramp.texture.dispose()
+    }
+
+    /**
+     * GUI
+     * Stop folders are named after their index and the count comes first so presets can restore any number of stops
+     */
+    ramp.addGui = (gui, title = 'gradient') =>
+    {
+        const folder = gui.addFolder(title)
+        const guiState = { count: ramp.stops.length }
+        let stopFolders = []
+
+        // Live preview
+        const preview = ramp.element
+        preview.style.display = 'block'
+        preview.style.width = '100%'
+        preview.style.height = '16px'
+        folder.$children.prepend(preview)
+
+        const countController = folder.add(guiState, 'count', 0, 16, 1).onChange((value) =>
+        {
+            while(ramp.stops.length < value)
+                ramp.addStop()
+            while(ramp.stops.length > value)
+                ramp.removeStop(ramp.stops[ramp.stops.length - 1])
+        })
+
+        folder.add({ add: () => ramp.addStop() }, 'add').name('add stop')
+
+        const updateStopFolders = () =>
+        {
+            for(const stopFolder of stopFolders)
+                stopFolder.destroy()
+
+            stopFolders = ramp.stops.map((stop, index) =>
+            {
+                const stopFolder = folder.addFolder(`stop ${index}`)
+                stopFolder.add(stop, 'position', 0, 1, 0.001).onChange(ramp.update)
+                stopFolder.addColor(stop, 'color').onChange(ramp.update)
+                stopFolder.add({ delete: () => ramp.removeStop(stop) }, 'delete')
+
+                return stopFolder
+            })
+
+            guiState.count = ramp.stops.length
+            countController.updateDisplay()
+        }
+
+        ramp.onStopsChange = updateStopFolders
+        updateStopFolders()
+
+        return folder
+    }
+
+    ramp.update()
+
+    return ramp
+}
@@ -0,0 +1,123 @@
+import { HalfFloatType, LinearFilter, MeshBasicNodeMaterial, QuadMesh, RenderTarget, Vector4 } from 'three/webgpu'
+import { Fn, Loop, color, step, texture, uniform, uniformArray, uv, vec4 } from 'three/tsl'
+
+const stampsMaxCount = 16
+
+/**
+ * Ground scar
+ * Damage accumulated in a render target covering a square of the floor centered on the origin, fading over time
+ * Every update fades the previous state and adds a stamp for each footprint ({ x, z, radius }) then copies the result back
+ * `sample(position)` gives the scar intensity at a world position, to be used by the floor material
+ */
+export default function createGroundScar({ size = 20, resolution = 512, fadeDuration = 20, strength = 1.5, scarColor = '#0b0908' } = {})
+{
+    const scar = {}
+    scar.size = uniform(size)
+    scar.strength = uniform(strength)
+    scar.color = uniform(color(scarColor))
+    scar.fadeDuration = fadeDuration
+
+    const createTarget = () => new RenderTarget(resolution, resolution, { type: HalfFloatType, minFilter: LinearFilter, magFilter: LinearFilter, depthBuffer: false })
+    const currentTarget = createTarget()
+    const nextTarget = createTarget()
+
+    const fade = uniform(1)
+    const delta = uniform(0)
+    const stamps = uniformArray(new Array(stampsMaxCount).fill().map(() => new Vector4()), 'vec4')
+    const stampsLength = uniform(0)
+
+    // Cleared on the first update since the targets content isn't defined
+    let needsClear = true
+
+    /**
+     * Passes
+     */
+    const stampMaterial = new MeshBasicNodeMaterial()
+    stampMaterial.colorNode = Fn(() =>
+    {
+        const value = texture(currentTarget.texture, uv()).r.mul(fade).toVar()
+        const position = uv().sub(0.5).mul(scar.size)
+
+        Loop(stampsLength, ({ i }) =>
+        {
+            const stamp = stamps.element(i)
+            const distance = position.sub(stamp.xy).length()
+
+            value.addAssign(distance.smoothstep(stamp.z, 0).mul(scar.strength).mul(delta))
+        })
+
+        return vec4(value.min(1), 0, 0, 1)
+    })()
+    const stampQuad = new QuadMesh(stampMaterial)
+
+    const copyMaterial = new MeshBasicNodeMaterial()
+    copyMaterial.colorNode = texture(nextTarget.texture, uv())
+    const copyQuad = new QuadMesh(copyMaterial)
+
+    /**
+     * Update
+     */
+    scar.update = (elapsed, footprints, renderer) =>
+    {
+        if(elapsed === 0 && !needsClear)
+            return
+
+        // Down to 1% after fadeDuration
+        fade.value = needsClear ? 0 : Math.pow(0.01, elapsed / scar.fadeDuration)
+        delta.value = elapsed
+        needsClear = false
+
+        const count = Math.min(footprints.length, stampsMaxCount)
+        for(let i = 0; i < count; i++)
+            stamps.array[i].set(footprints[i].x, footprints[i].z, footprints[i].radius, 0)
+        stampsLength.value = count
+
+        const previousTarget = renderer.getRenderTarget()
+
+        renderer.setRenderTarget(nextTarget)
+        stampQuad.render(renderer)
+        renderer.setRenderTarget(currentTarget)
+        copyQuad.render(renderer)
+
+        renderer.setRenderTarget(previousTarget)
+    }
+
+    scar.clear = () =>
+    {
+        needsClear = true
+    }
+
+    // Scar intensity in [0, 1] at a world position, 0 outside of the square instead of the clamped edge texels
+    scar.sample = (position) =>
+    {
+        const scarUv = position.xz.div(scar.size).add(0.5)
+        const inside = step(0, scarUv.x).mul(step(scarUv.x, 1)).mul(step(0, scarUv.y)).mul(step(scarUv.y, 1))
+
+        return texture(currentTarget.texture, scarUv).r.mul(inside)
+    }
+
+    scar.dispose = () =>
+    {
+        currentTarget.dispose()
+        nextTarget.dispose()
+        stampMaterial.dispose()
+        copyMaterial.dispose()
+    }
+
+    /**
+     * GUI
+     */
+    scar.addGui = (gui) =>
+    {
+        const folder = gui.addFolder('ground scar')
+
+        folder.add(scar, 'fadeDuration', 1, 120, 0.1)
+        folder.add(scar.strength, 'value', 0, 10, 0.01).name('strength')
+        folder.addColor({ color: scar.color.value.getHexString() }, 'color').onChange(value => scar.color.value.set(value)).name('color')
+        folder.add(scar, 'clear')
+
+        return folder
+    }
+
+    return scar
+}
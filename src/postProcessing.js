@@ -0,0 +1,451 @@
+import { ACESFilmicToneMapping, AgXToneMapping, CineonToneMapping, ClampToEdgeWrapping, Data3DTexture, LinearFilter, LinearToneMapping, NeutralToneMapping, PostProcessing, ReinhardToneMapping, RGBAFormat, UnsignedByteType, Vector2 } from 'three/webgpu'
+import { bloom, fract, fxaa, lut3D, mix, mrt, output, rand, rtt, smoothstep, texture3D, toneMapping, uniform, uv, vec4 } from 'three/tsl'
+
+/**
+ * Color grading LUTs
+ * Generated from a function mapping a color in [0, 1] to another
+ */
+const lutSize = 32
+
+const luminance = (r, g, b) => r * 0.2126 + g * 0.7152 + b * 0.0722
+
+const lutFunctions = {
+    warm: (r, g, b) => [ r * 1.08 + 0.02, g * 1.02, b * 0.88 ],
+    cool: (r, g, b) => [ r * 0.9, g * 1.0, b * 1.1 + 0.02 ],
+    bleach: (r, g, b) =>
+    {
+        // Desaturated with more contrast
+        const l = luminance(r, g, b)
+        return [ r, g, b ].map(value => (value + (l - value) * 0.6 - 0.5) * 1.25 + 0.5)
+    },
+    sepia: (r, g, b) => [
+        r * 0.393 + g * 0.769 + b * 0.189,
+        r * 0.349 + g * 0.686 + b * 0.168,
+        r * 0.272 + g * 0.534 + b * 0.131
+    ]
+}
+
+const createLutTexture = (lutFunction) =>
+{
+    const data = new Uint8Array(lutSize * lutSize * lutSize * 4)
+
+    for(let b = 0; b < lutSize; b++)
+        for(let g = 0; g < lutSize; g++)
+            for(let r = 0; r < lutSize; r++)
+            {
+                const index = (r + g * lutSize + b * lutSize * lutSize) * 4
+                const color = lutFunction(r / (lutSize - 1), g / (lutSize - 1), b / (lutSize - 1))
+
+                data[index + 0] = Math.round(Math.min(Math.max(color[0], 0), 1) * 255)
+                data[index + 1] = Math.round(Math.min(Math.max(color[1], 0), 1) * 255)
+                data[index + 2] = Math.round(Math.min(Math.max(color[2], 0), 1) * 255)
+                data[index + 3] = 255
+            }
+
+    const lutTexture = new Data3DTexture(data, lutSize, lutSize, lutSize)
+    lutTexture.format = RGBAFormat
+    lutTexture.type = UnsignedByteType
+    lutTexture.minFilter = LinearFilter
+    lutTexture.magFilter = LinearFilter
+    lutTexture.wrapS = ClampToEdgeWrapping
+    lutTexture.wrapT = ClampToEdgeWrapping
+    lutTexture.wrapR = ClampToEdgeWrapping
+    lutTexture.unpackAlignment = 1
+    lutTexture.needsUpdate = true
+
+    return lutTexture
+}
+
+const toneMappings = {
+    linear: LinearToneMapping,
+    reinhard: ReinhardToneMapping,
+    cineon: CineonToneMapping,
+    aces: ACESFilmicToneMapping,
+    agx: AgXToneMapping,
+    neutral: NeutralToneMapping
+}
+
+/**
+ * Selective bloom
+ * The scene pass writes an `emissive` target next to the output and the bloom only reads that one
+ * Materials write no emissive by default, which also hides the emissive behind them
+ */
+export const sceneMRT = () => mrt({
+    output,
+    emissive: vec4(0, 0, 0, output.a)
+})
+
+// Materials using an outputNode have to give both targets, the emissive being the output scaled by the intensity
+export const setBloomOutput = (material, outputNode, intensity) =>
+{
+    material.outputNode = outputNode
+    material.mrtNode = mrt({
+        output: outputNode,
+        emissive: vec4(outputNode.rgb.mul(intensity), outputNode.a)
+    })
+    material.needsUpdate = true
+}
+
+// Effects sampling their input around the current pixel need it rendered to a texture first
+const toTexture = (input, context) =>
+{
+    if(input.isTextureNode)
+        return input
+
+    const inputTexture = rtt(input)
+    context.textures.push(inputTexture)
+
+    return inputTexture
+}
+
+/**
+ * Effects
+ * `build(input, context)` returns the node of the effect applied to the input
+ * Nodes owning render targets are pushed to `context.disposables` and texture inputs to `context.textures` so they can be resized
+ * Parameters are uniforms shared by every build so they survive the reorders
+ */
+const effectTypes = {
+    bloom: () =>
+    {
+        const effect = {}
+        effect.uniforms = {
+            strength: uniform(1),
+            radius: uniform(0.1),
+            threshold: uniform(1)
+        }
+
+        effect.build = (input, context) =>
+        {
+            // Emissive target when there is one, the whole input otherwise
+            const bloomPass = bloom(context.emissive ?? toTexture(input, context))
+
+            // Swapped before the bloom gets set up so it reads the shared uniforms
+            bloomPass.strength = effect.uniforms.strength
+            bloomPass.radius = effect.uniforms.radius
+            bloomPass.threshold = effect.uniforms.threshold
+            context.disposables.push(bloomPass)
+
+            return input.add(bloomPass)
+        }
+
+        effect.addGui = (folder) =>
+        {
+            folder.add(effect.uniforms.strength, 'value', 0, 10, 0.01).name('strength')
+            folder.add(effect.uniforms.radius, 'value', 0, 1, 0.01).name('radius')
+            folder.add(effect.uniforms.threshold, 'value', 0, 1, 0.01).name('threshold')
+        }
+
+        return effect
+    },
+
+    toneMapping: () =>
+    {
+        const effect = {}
+        effect.operator = 'aces'
+        effect.uniforms = {
+            exposure: uniform(1)
+        }
+
+        effect.build = (input) =>
+        {
+            return toneMapping(toneMappings[effect.operator], effect.uniforms.exposure, input)
+        }
+
+        effect.addGui = (folder, rebuild) =>
+        {
+            folder.add(effect, 'operator', Object.keys(toneMappings)).onChange(rebuild)
+            folder.add(effect.uniforms.exposure, 'value', 0, 4, 0.01).name('exposure')
+        }
+
+        return effect
+    },
+
+    colorGrading: () =>
+    {
+        const effect = {}
+        effect.lut = 'warm'
+        effect.uniforms = {
+            intensity: uniform(1)
+        }
+
+        // Created on demand, the texture node being updated without rebuilding
+        const lutTextures = {}
+        const getLutTexture = (name) => lutTextures[name] ??= createLutTexture(lutFunctions[name])
+        const lutNode = texture3D(getLutTexture(effect.lut))
+
+        effect.build = (input) =>
+        {
+            return lut3D(input, lutNode, lutSize, effect.uniforms.intensity)
+        }
+
+        effect.addGui = (folder) =>
+        {
+            folder.add(effect, 'lut', Object.keys(lutFunctions)).onChange(value => lutNode.value = getLutTexture(value))
+            folder.add(effect.uniforms.intensity, 'value', 0, 1, 0.01).name('intensity')
+        }
+
+        effect.dispose = () =>
+        {
+            for(const name in lutTextures)
+                lutTextures[name].dispose()
+        }
+
+        return effect
+    },
+
+    chromaticAberration: () =>
+    {
+        const effect = {}
+        effect.uniforms = {
+            amount: uniform(0.01)
+        }
+
+        effect.build = (input, context) =>
+        {
+            const inputTexture = toTexture(input, context)
+
+            // Channels pushed apart from the center of the screen
+            const offset = uv().sub(0.5).mul(effect.uniforms.amount)
+            const center = inputTexture.uv(uv())
+
+            return vec4(
+                inputTexture.uv(uv().add(offset)).r,
+                center.g,
+                inputTexture.uv(uv().sub(offset)).b,
+                center.a
+            )
+        }
+
+        effect.addGui = (folder) =>
+        {
+            folder.add(effect.uniforms.amount, 'value', 0, 0.1, 0.0001).name('amount')
+        }
+
+        return effect
+    },
+
+    vignette: () =>
+    {
+        const effect = {}
+        effect.uniforms = {
+            intensity: uniform(0.6),
+            radius: uniform(0.8),
+            softness: uniform(0.5)
+        }
+
+        effect.build = (input) =>
+        {
+            const { intensity, radius, softness } = effect.uniforms
+            const distanceToCenter = uv().sub(0.5).length().mul(2)
+            const vignette = smoothstep(radius, radius.sub(softness), distanceToCenter)
+
+            return vec4(input.rgb.mul(mix(1, vignette, intensity)), input.a)
+        }
+
+        effect.addGui = (folder) =>
+        {
+            folder.add(effect.uniforms.intensity, 'value', 0, 1, 0.01).name('intensity')
+            folder.add(effect.uniforms.radius, 'value', 0, 2, 0.01).name('radius')
+            folder.add(effect.uniforms.softness, 'value', 0, 2, 0.01).name('softness')
+        }
+
+        return effect
+    },
+
+    filmGrain: () =>
+    {
+        const effect = {}
+        effect.uniforms = {
+            intensity: uniform(0.08)
+        }
+
+        effect.build = (input, context) =>
+        {
+            // Follows the timeline so captures are reproducible
+            const noise = rand(uv().add(fract(context.time)))
+
+            return vec4(input.rgb.add(noise.sub(0.5).mul(effect.uniforms.intensity)), input.a)
+        }
+
+        effect.addGui = (folder) =>
+        {
+            folder.add(effect.uniforms.intensity, 'value', 0, 0.5, 0.001).name('intensity')
+        }
+
+        return effect
+    },
+
+    fxaa: () =>
+    {
+        const effect = {}
+        effect.uniforms = {}
+
+        effect.build = (input, context) =>
+        {
+            return fxaa(toTexture(input, context))
+        }
+
+        return effect
+    }
+}
+
+// No SMAA since this version of three only has an FXAA node
+const defaultOrder = [ 'bloom', 'toneMapping', 'colorGrading', 'chromaticAberration', 'vignette', 'filmGrain', 'fxaa' ]
+
+/**
+ * Post processing
+ * Chain of effects applied to `input`, usually the scene pass color, each of them can be toggled and moved
+ * With `emissive`, the scene pass emissive target, the bloom only makes the emissive materials glow
+ * The order is also exposed as a comma separated text so presets restore it
+ */
+export default function createPostProcessing({ renderer, input, emissive = null, time, enabled = [ 'bloom' ] })
+{
+    const stack = {}
+    stack.postProcessing = new PostProcessing(renderer)
+    stack.effects = defaultOrder.map((name) =>
+    {
+        const effect = effectTypes[name]()
+        effect.name = name
+        effect.enabled = enabled.includes(name)
+
+        return effect
+    })
+
+    // Nothing to threshold in the emissive target
+    if(emissive)
+        stack.effects.find(effect => effect.name === 'bloom').uniforms.threshold.value = 0
+
+    stack.order = defaultOrder.join(',')
+
+    let context = null
+
+    const disposeContext = () =>
+    {
+        if(!context)
+            return
+
+        for(const node of context.disposables)
+            node.dispose()
+        for(const node of context.textures)
+            node.renderTarget.dispose()
+    }
+
+    /**
+     * Build
+     */
+    stack.rebuild = () =>
+    {
+        disposeContext()
+        context = { time, emissive, disposables: [], textures: [] }
+
+        let output = input
+
+        for(const effect of stack.effects)
+            if(effect.enabled)
+                output = effect.build(output, context)
+
+        stack.postProcessing.outputNode = output
+        stack.postProcessing.needsUpdate = true
+
+        stack.order = stack.effects.map(effect => effect.name).join(',')
+        stack.onOrderChange?.()
+    }
+
+    /**
+     * Order
+     */
+    stack.setOrder = (order) =>
+    {
+        // Unknown names are ignored and missing effects keep their relative order at the end
+        const names = order.split(',').map(name => name.trim())
+        const ordered = names.map(name => stack.effects.find(effect => effect.name === name)).filter((effect, index, effects) => effect && effects.indexOf(effect) === index)
+        const remaining = stack.effects.filter(effect => !ordered.includes(effect))
+
+        stack.effects = [ ...ordered, ...remaining ]
+        stack.rebuild()
+    }
+
+    stack.moveEffect = (effect, offset) =>
+    {
+        const index = stack.effects.indexOf(effect)
+        const newIndex = Math.min(Math.max(index + offset, 0), stack.effects.length - 1)
+
+        stack.effects.splice(index, 1)
+        stack.effects.splice(newIndex, 0, effect)
+        stack.rebuild()
+    }
+
+    /**
+     * Render
+     */
+    const size = new Vector2()
+    const previousSize = new Vector2()
+    let previousPixelRatio = null
+
+    stack.renderAsync = () =>
+    {
+        // Texture inputs are only sized on their first render, so they are sized again when the renderer is resized
+        renderer.getSize(size)
+        const pixelRatio = renderer.getPixelRatio()
+
+        if(!size.equals(previousSize) || pixelRatio !== previousPixelRatio)
+        {
+            for(const node of context.textures)
+            {
+                node.setPixelRatio(pixelRatio)
+                node.setSize(size.x, size.y)
+            }
+
+            previousSize.copy(size)
+            previousPixelRatio = pixelRatio
+        }
+
+        return stack.postProcessing.renderAsync()
+    }
+
+    stack.dispose = () =>
+    {
+        disposeContext()
+
+        for(const effect of stack.effects)
+            effect.dispose?.()
+    }
+
+    /**
+     * GUI
+     */
+    stack.addGui = (gui) =>
+    {
+        const folder = gui.addFolder('post processing')
+        const effectFolders = new Map()
+
+        const orderController = folder.add(stack, 'order').onFinishChange(value => stack.setOrder(value))
+
+        for(const effect of stack.effects)
+        {
+            const effectFolder = folder.addFolder(effect.name)
+            effectFolder.add(effect, 'enabled').onChange(stack.rebuild)
+            effect.addGui?.(effectFolder, stack.rebuild)
+            effectFolder.add({ up: () => stack.moveEffect(effect, - 1) }, 'up').name('move up')
+            effectFolder.add({ down: () => stack.moveEffect(effect, 1) }, 'down').name('move down')
+
+            effectFolders.set(effect, effectFolder)
+        }
+
+        // Folders follow the chain order
+        stack.onOrderChange = () =>
+        {
+            orderController.updateDisplay()
+
+            for(const effect of stack.effects)
+                folder.$children.appendChild(effectFolders.get(effect).domElement)
+        }
+        stack.onOrderChange()
+
+        return folder
+    }
+
+    stack.rebuild()
+
+    return stack
+}
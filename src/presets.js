@@ -0,0 +1,242 @@
+/**
+ * Presets
+ * Serialize every controller of an example GUI with lil-gui save() / load()
+ * Loading calls the controllers onChange, which is where the examples update their uniforms
+ */
+const folderTitle = 'presets'
+const storagePrefix = 'tsl-examples:presets:'
+const urlParameter = 'preset'
+
+/**
+ * URL safe base64 of the JSON
+ * The bytes go through fromCharCode in chunks since spreading a large state exceeds the arguments limit
+ */
+const encodeChunkSize = 0x8000
+
+const encode = (data) =>
+{
+    const bytes = new TextEncoder().encode(JSON.stringify(data))
+    let binary = ''
+
+    for(let i = 0; i < bytes.length; i += encodeChunkSize)
+        binary += String.fromCharCode(...bytes.subarray(i, i + encodeChunkSize))
+
+    return btoa(binary).replaceAll('+', '-').replaceAll('/', '_').replace(/=+$/, '')
+}
+
+const decode = (string) =>
+{
+    const binary = atob(string.replaceAll('-', '+').replaceAll('_', '/'))
+    const bytes = Uint8Array.from(binary, character => character.charCodeAt(0))
+
+    return JSON.parse(new TextDecoder().decode(bytes))
+}
+
+export default function createPresets({ name, gui })
+{
+    const presets = {}
+    const storageKey = `${storagePrefix}${name}`
+
+    /**
+     * State
+     */
+    presets.getState = () =>
+    {
+        const state = gui.save()
+        delete state.folders[folderTitle]
+
+        return state
+    }
+
+    presets.setState = (state) =>
+    {
+        gui.load(state)
+    }
+
+    // Files and URLs carry the example name so a preset isn't applied to another example
+    const toData = () => ({ example: name, state: presets.getState() })
+
+    const fromData = (data) =>
+    {
+        if(data?.example !== name || !data.state)
+        {
+            console.warn(`Preset ignored, it was made for "${data?.example}" and not "${name}"`)
+            return
+        }
+
+        presets.setState(data.state)
+    }
+
+    /**
+     * Local storage
+     */
+    const readStore = () =>
+    {
+        try
+        {
+            return JSON.parse(localStorage.getItem(storageKey)) || {}
+        }
+        catch(error)
+        {
+            console.warn('Presets storage is corrupted, starting from scratch', error)
+            return {}
+        }
+    }
+
+    const writeStore = (store) =>
+    {
+        localStorage.setItem(storageKey, JSON.stringify(store))
+    }
+
+    presets.getNames = () => Object.keys(readStore())
+
+    presets.save = (presetName) =>
+    {
+        const store = readStore()
+        store[presetName] = presets.getState()
+        writeStore(store)
+    }
+
+    presets.load = (presetName) =>
+    {
+        const store = readStore()
+
+        if(store[presetName])
+            presets.setState(store[presetName])
+    }
+
+    presets.remove = (presetName) =>
+    {
+        const store = readStore()
+        delete store[presetName]
+        writeStore(store)
+    }
+
+    /**
+     * Files
+     */
+    presets.exportFile = (presetName) =>
+    {
+        const blob = new Blob([ JSON.stringify(toData(), null, 4) ], { type: 'application/json' })
+        const link = document.createElement('a')
+        link.href = URL.createObjectURL(blob)
+        link.download = `${name}-${presetName}.json`
+        link.click()
+
+        // Revoked later since some browsers cancel the download when it's done right away
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000)
+    }
+
+    presets.importFile = () =>
+    {
+        const input = document.createElement('input')
+        input.type = 'file'
+        input.accept = 'application/json,.json'
+        input.addEventListener('change', async () =>
+        {
+            const file = input.files[0]
+
+            if(!file)
+                return
+
+            try
+            {
+                fromData(JSON.parse(await file.text()))
+            }
+            catch(error)
+            {
+                console.warn(`Couldn't import preset file "${file.name}"`, error)
+            }
+        })
+        input.click()
+    }
+
+    /**
+     * URL
+     */
+    presets.getUrl = () =>
+    {
+        const url = new URL(window.location.href)
+        url.searchParams.set(urlParameter, encode(toData()))
+
+        return url.href
+    }
+
+    presets.loadFromUrl = () =>
+    {
+        const value = new URL(window.location.href).searchParams.get(urlParameter)
+
+        if(!value)
+            return
+
+        try
+        {
+            const data = decode(value)
+
+            // Shared links of other examples are left for them
+            if(data.example === name)
+                fromData(data)
+        }
+        catch(error)
+        {
+            console.warn('Couldn\'t read the preset from the URL', error)
+        }
+    }
+
+    /**
+     * GUI
+     */
+    const folder = gui.addFolder(folderTitle).close()
+    const guiState = {
+        name: 'preset',
+        preset: '',
+        save: () =>
+        {
+            presets.save(guiState.name)
+            guiState.preset = guiState.name
+            updatePresetOptions()
+        },
+        load: () => presets.load(guiState.preset),
+        delete: () =>
+        {
+            presets.remove(guiState.preset)
+            updatePresetOptions()
+        },
+        export: () => presets.exportFile(guiState.name),
+        import: () => presets.importFile(),
+        share: () =>
+        {
+            const url = presets.getUrl()
+            window.history.replaceState(null, '', url)
+            navigator.clipboard?.writeText(url)
+        }
+    }
+
+    folder.add(guiState, 'name')
+    folder.add(guiState, 'save')
+
+    // The dropdown is recreated when the saved presets change, right before the load button
+    const loadController = folder.add(guiState, 'load')
+    let presetController = null
+    const updatePresetOptions = () =>
+    {
+        const names = presets.getNames()
+
+        if(!names.includes(guiState.preset))
+            guiState.preset = names[0] ?? ''
+
+        if(presetController)
+            presetController.destroy()
+
+        presetController = folder.add(guiState, 'preset', names)
+        folder.$children.insertBefore(presetController.domElement, loadController.domElement)
+    }
+    updatePresetOptions()
+
+    folder.add(guiState, 'delete')
+    folder.add(guiState, 'export')
+    folder.add(guiState, 'import')
+    folder.add(guiState, 'share').name('share (copy URL)')
+
+    return presets
+}
@@ -1,384 +1,296 @@
 import GUI from 'lil-gui'
 import * as THREE from 'three/webgpu'
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js'
-import { dot, cos, float, min, timerLocal, atan2, uniform, pass, bloom, PI, PI2, color, positionLocal, rangeFog, sin, texture, tslFn, uv, vec2, vec3, vec4 } from 'three/webgpu'
-import gridMaterial from './GridMaterial'
+import { pass, color, rangeFog } from 'three/webgpu'
+import createGridMaterial from './GridMaterial'
+import disposeScene from './disposeScene'
+import { createRenderer } from './capabilities'
+import createTimeline from './timeline'
+import createPostProcessing, { sceneMRT } from './postProcessing'
+import createCapture from './capture'
+import Tornado from './Tornado'
+import createGroundScar from './groundScar'
+import { createNoiseSource } from './tslUtils'
 
 /**
- * Base
+ * Example
  */
-// Debug
-const gui = new GUI({
-    width: 400
-})
-
-// Canvas
-const canvas = document.querySelector('canvas.webgl')
-
-// Scene
-const scene = new THREE.Scene()
-scene.fogNode = rangeFog(color('#171617'), 2, 15)
-
-// Loaders
-const textureLoader = new THREE.TextureLoader()
-
-// Texture
-const perlinTexture = textureLoader.load('./perlinTexture.png')
-perlinTexture.wrapS = THREE.RepeatWrapping
-perlinTexture.wrapT = THREE.RepeatWrapping
-
-const uvCheckerTexture = textureLoader.load('./uvCheckerByValle.jpg')
-uvCheckerTexture.colorSpace = THREE.SRGBColorSpace
-uvCheckerTexture.wrapS = THREE.RepeatWrapping
-uvCheckerTexture.wrapT = THREE.RepeatWrapping
-
-/**
- * TSL functions
- */
-const toRadialUv = tslFn(([uv, multiplier, rotation, offset]) => 
-{
-    const centeredUv = uv.sub(0.5).toVar();
-    const distanceToCenter = centeredUv.length()
-    const angle = atan2(centeredUv.y, centeredUv.x);
-    const radialUv = vec2(angle.add(PI).div(PI2), distanceToCenter).toVar()
-    radialUv.mulAssign(multiplier)
-    radialUv.x.addAssign(rotation)
-    radialUv.y.addAssign(offset)
-
-    return radialUv
-})
-
-const toSkewedUv = tslFn(([uv, skew]) =>
-{
-    return vec2(
-        uv.x.add(uv.y.mul(skew.x)),
-        uv.y.add(uv.x.mul(skew.y))
-    )
-})
-
-const twistedCylinder = tslFn(([position, parabolStrength, parabolOffset, parabolAmplitude, time]) =>
-{
-    const angle = atan2(position.z, position.x)
-    const elevation = position.y
-
-    // Parabol
-    const radius = parabolStrength.mul(position.y.sub(parabolOffset)).pow(2).add(parabolAmplitude)
-
-    // Turbulences
-    const turbulence = sin(elevation.sub(time).mul(20).add(angle.mul(2))).mul(0.05)
-    radius.addAssign(turbulence)
-
-    const newPosition = vec3(
-        cos(angle).mul(radius),
-        elevation,
-        sin(angle).mul(radius)
-    )
-
-    return newPosition
-})
-
-const luminance = tslFn(([color]) =>
-{
-    return dot(color, vec3(0.2126, 0.7152, 0.0722))
-})
-
-/**
- * Global
- */
-const emissiveColor = uniform(color('#ff8b4d'))
-const timeScale = uniform(0.15)
-const parabolStrength = uniform(1)
-const parabolOffset = uniform(0.3)
-const parabolAmplitude = uniform(0.2)
-
-// Geometry
-const cylinderGeometry = new THREE.CylinderGeometry(1, 1, 1, 20, 20, true)
-cylinderGeometry.translate(0, 0.5, 0)
-
-/**
- * Tornado floor
- */
-
-// Material
-const floorMaterial = new THREE.MeshBasicNodeMaterial({ transparent: true, wireframe: false })
-
-// Output
-floorMaterial.outputNode = tslFn(() =>
-{
-    const time = timerLocal().mul(timeScale)
-
-    // Noise 1
-    const noise1Uv = toRadialUv(
-        uv(),
-        vec2(0.5, 0.5),
-        time,
-        time
-    )
-    noise1Uv.assign(toSkewedUv(
-        noise1Uv,
-        vec2(-1, 0)
-    ))
-    noise1Uv.mulAssign(vec2(4, 1))
-    const noise1 = texture(perlinTexture, noise1Uv, 1).r.remap(0.45, 0.7)
-
-    // Noise 2
-    const noise2Uv = toRadialUv(
-        uv(),
-        vec2(2, 8),
-        time.mul(2),
-        time.mul(8)
-    )
-    noise2Uv.assign(toSkewedUv(
-        noise2Uv,
-        vec2(-0.25, 0)
-    ))
-    noise2Uv.mulAssign(vec2(2, 0.25))
-    const noise2 = texture(perlinTexture, noise2Uv, 1).b.remap(0.45, 0.7)
-
-    // Outer fade
-    const distanceToCenter = uv().sub(0.5).toVar()
-    const outerFade = min(
-        distanceToCenter.length().smoothstep(0.5, 0.1),
-        distanceToCenter.length().smoothstep(0, 0.2)
-    )
-
-    // Effect
-    const effect = noise1.mul(noise2).mul(outerFade).toVar()
-
-    // Output
-    return vec4(
-        emissiveColor.mul(float(0.2).step(effect)).mul(3), // Emissive
-        effect.smoothstep(0, 0.01) // Alpha
-    )
-
-    // const uvCheck = texture(uvCheckerTexture, noise2Uv, 1)
-    // return vec4(uvCheck.rgb, alpha)
-})()
-
-// Geometry
-const floorGeometry = new THREE.PlaneGeometry(1, 1, 1, 1)
-
-// Mesh
-const floor = new THREE.Mesh(floorGeometry, floorMaterial)
-floor.scale.setScalar(2)
-floor.position.y = 0.01
-floor.rotation.x = - Math.PI * 0.5
-scene.add(floor)
-
-/**
- * Emissive layer
- */
-
-// Material
-const emissiveMaterial = new THREE.MeshBasicNodeMaterial({ transparent: true, side: THREE.DoubleSide, wireframe: false })
-emissiveMaterial.positionNode = twistedCylinder(positionLocal, parabolStrength, parabolOffset, parabolAmplitude.sub(0.05), timerLocal().mul(timeScale))
-
-// Output
-emissiveMaterial.outputNode = tslFn(() =>
-{
-    const time = timerLocal().mul(timeScale)
-
-    // Noise 1
-    const noise1Uv = uv().add(vec2(time, time.negate())).toVar()
-    noise1Uv.assign(toSkewedUv(
-        noise1Uv,
-        vec2(-1, 0)
-    ))
-    noise1Uv.mulAssign(vec2(2, 0.25))
-    const noise1 = texture(perlinTexture, noise1Uv, 1).r.remap(0.45, 0.7)
-
-    // Noise 2
-    const noise2Uv = uv().add(vec2(time.mul(0.5), time.negate())).toVar()
-    noise2Uv.assign(toSkewedUv(
-        noise2Uv,
-        vec2(-1, 0)
-    ))
-    noise2Uv.mulAssign(vec2(5, 1))
-    const noise2 = texture(perlinTexture, noise2Uv, 1).g.remap(0.45, 0.7)
-
-    // Outer fade
-    const outerFade = min(
-        uv().y.smoothstep(0, 0.1),
-        uv().y.smoothstep(1, 0.6)
-    )
-
-    // Effect
-    const effect = noise1.mul(noise2).mul(outerFade)
-
-    const emissiveColorLuminance = luminance(emissiveColor)
-
-    // Output
-    return vec4(
-        emissiveColor.mul(1.2).div(emissiveColorLuminance), // Emissive
-        effect.smoothstep(0, 0.1) // Alpha
-    )
-
-    // const uvCheck = texture(uvCheckerTexture, noise2Uv, 1)
-    // return vec4(uvCheck.rgb, alpha)
-})()
-
-// Mesh
-const emissive = new THREE.Mesh(cylinderGeometry, emissiveMaterial)
-emissive.scale.set(1, 1, 1)
-scene.add(emissive)
-
-/**
- * Dark layer
- */
- 
-// Material
-const darkMaterial = new THREE.MeshBasicNodeMaterial({ transparent: true, side: THREE.DoubleSide, wireframe: false })
-darkMaterial.positionNode = twistedCylinder(positionLocal, parabolStrength, parabolOffset, parabolAmplitude, timerLocal().mul(timeScale))
-
-// Output
-darkMaterial.outputNode = tslFn(() =>
+export default function init({ canvas })
 {
-    const time = timerLocal().mul(timeScale).add(123.4)
-
-    // Noise 1
-    const noise1Uv = uv().add(vec2(time, time.negate())).toVar()
-    noise1Uv.assign(toSkewedUv(
-        noise1Uv,
-        vec2(-1, 0)
-    ))
-    noise1Uv.mulAssign(vec2(2, 0.25))
-    const noise1 = texture(perlinTexture, noise1Uv, 1).g.remap(0.45, 0.7)
-
-    // Noise 2
-    const noise2Uv = uv().add(vec2(time.mul(0.5), time.negate())).toVar()
-    noise2Uv.assign(toSkewedUv(
-        noise2Uv,
-        vec2(-1, 0)
-    ))
-    noise2Uv.mulAssign(vec2(5, 1))
-    const noise2 = texture(perlinTexture, noise2Uv, 1).b.remap(0.45, 0.7)
-
-    // Outer fade
-    const outerFade = min(
-        uv().y.smoothstep(0, 0.2),
-        uv().y.smoothstep(1, 0.6)
+    /**
+     * Base
+     */
+    // Debug
+    const gui = new GUI({
+        width: 400
+    })
+
+    // Scene
+    const scene = new THREE.Scene()
+    scene.fogNode = rangeFog(color('#171617'), 2, 15)
+
+    // Loaders
+    const textureLoader = new THREE.TextureLoader()
+
+    // Noise
+    const noiseSource = createNoiseSource({ textureLoader })
+
+    // Texture
+    const uvCheckerTexture = textureLoader.load('./uvCheckerByValle.jpg')
+    uvCheckerTexture.colorSpace = THREE.SRGBColorSpace
+    uvCheckerTexture.wrapS = THREE.RepeatWrapping
+    uvCheckerTexture.wrapT = THREE.RepeatWrapping
+
+    /**
+     * Global
+     */
+    const timeline = createTimeline()
+
+    /**
+     * Tornadoes
+     */
+    const tornadoes = []
+    const tornadoesDebug = { count: 0 }
+
+    const addTornado = (params = {}) =>
+    {
+        const tornado = new Tornado({ noiseSource, ...params })
+        scene.add(tornado.group)
+
+        const tornadoGui = tornado.addGui(tornadoesGui, `tornado ${tornadoes.length}`)
+        tornadoGui.add({ delete: () =>
+        {
+            removeTornado(tornado)
+            countController.updateDisplay()
+        } }, 'delete')
+
+        tornadoes.push(tornado)
+        tornadoesDebug.count = tornadoes.length
+
+        return tornado
+    }
+
+    const removeTornado = (tornado) =>
+    {
+        tornado.dispose()
+        tornadoes.splice(tornadoes.indexOf(tornado), 1)
+
+        // Keep the folder titles matching the indices for the presets
+        tornadoes.forEach((tornado, index) => tornado.gui.title(`tornado ${index}`))
+        tornadoesDebug.count = tornadoes.length
+    }
+
+    // Added tornadoes are spread around and out of phase with the others
+    const addRandomTornado = () => addTornado({
+        positionX: (Math.random() - 0.5) * 6,
+        positionZ: (Math.random() - 0.5) * 6,
+        timeOffset: Math.random() * 100
+    })
+
+    /**
+     * Debug
+     */
+    gui.add(noiseSource, 'source', [ 'texture', 'procedural' ]).name('noiseSource').onChange(() =>
+    {
+        for(const tornado of tornadoes)
+            tornado.updateOutputs()
+    })
+    timeline.addGui(gui)
+
+    const tornadoesGui = gui.addFolder('tornadoes')
+    const countController = tornadoesGui.add(tornadoesDebug, 'count', 0, 8, 1).onChange((value) =>
+    {
+        while(tornadoes.length < value)
+            addRandomTornado()
+        while(tornadoes.length > value)
+            removeTornado(tornadoes[tornadoes.length - 1])
+    })
+    tornadoesGui.add({ add: () =>
+    {
+        addRandomTornado()
+        countController.updateDisplay()
+    } }, 'add').name('add tornado')
+
+    addTornado()
+
+    /**
+     * Ground scar
+     */
+    const groundScar = createGroundScar()
+    groundScar.addGui(gui)
+
+    /**
+     * Grid
+     */
+    const gridMaterial = createGridMaterial({ groundScar })
+    gridMaterial.addGui(gui)
+
+    const grid = new THREE.Mesh(
+        new THREE.PlaneGeometry(100, 100),
+        gridMaterial.material
     )
-
-    // Effect
-    const effect = noise1.mul(noise2).mul(outerFade)
-
-    return vec4(
-        vec3(0),
-        effect.smoothstep(0, 0.01)
+    grid.rotation.x = - Math.PI * 0.5
+    grid.position.y = 0
+    scene.add(grid)
+
+    /**
+     * Grid mesh
+     * Curved and spinning so the triplanar projection and the object space can be compared with the planar and world ones
+     */
+    const gridMeshMaterial = createGridMaterial({
+        levels: [
+            { size: 0.05, thickness: 0.1, color: '#39364f' },
+            { size: 0.25, thickness: 0.04, color: '#705df2' }
+        ],
+        axes: true,
+        projection: 'triplanar',
+        space: 'object'
+    })
+
+    const gridMesh = new THREE.Mesh(
+        new THREE.TorusKnotGeometry(0.3, 0.1, 128, 32),
+        gridMeshMaterial.material
     )
-
-    // const uvCheck = texture(uvCheckerTexture, noise2Uv, 1)
-    // return vec4(uvCheck.rgb, alpha)
-})()
-
-// Mesh
-const dark = new THREE.Mesh(cylinderGeometry, darkMaterial)
-dark.scale.set(1, 1, 1)
-scene.add(dark)
-
-/**
- * Debug
- */
-
-gui.addColor({ color: emissiveColor.value.getHexString(THREE.SRGBColorSpace) }, 'color').onChange(value => emissiveColor.value.set(value)).name('emissiveColor')
-gui.add(timeScale, 'value', -1, 1, 0.01).name('timeScale')
-gui.add(parabolStrength, 'value', 0, 2, 0.01).name('parabolStrength')
-gui.add(parabolOffset, 'value', 0, 1, 0.01).name('parabolOffset')
-gui.add(parabolAmplitude, 'value', 0, 2, 0.01).name('parabolAmplitude')
-
-/**
- * Grid
- */
-const grid = new THREE.Mesh(
-    new THREE.PlaneGeometry(100, 100),
-    gridMaterial
-)
-grid.rotation.x = - Math.PI * 0.5
-grid.position.y = 0
-scene.add(grid)
-
-/**
- * Sizes
- */
-const sizes = {
-    width: window.innerWidth,
-    height: window.innerHeight
-}
-
-window.addEventListener('resize', () =>
-{
-    // Update sizes
-    sizes.width = window.innerWidth
-    sizes.height = window.innerHeight
-
-    // Update camera
-    camera.aspect = sizes.width / sizes.height
-    camera.updateProjectionMatrix()
-
-    // Update renderer
+    gridMesh.position.set(- 1.5, 0.6, - 1)
+    scene.add(gridMesh)
+
+    const gridMeshGui = gridMeshMaterial.addGui(gui, 'grid mesh')
+    gridMeshGui.add(gridMesh, 'visible')
+
+    /**
+     * Sizes
+     */
+    const sizes = {
+        width: window.innerWidth,
+        height: window.innerHeight
+    }
+
+    const onResize = () =>
+    {
+        // Update sizes
+        sizes.width = window.innerWidth
+        sizes.height = window.innerHeight
+
+        // Update camera
+        camera.aspect = sizes.width / sizes.height
+        camera.updateProjectionMatrix()
+
+        // Update renderer
+        renderer.setSize(sizes.width, sizes.height)
+        renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2))
+    }
+
+    window.addEventListener('resize', onResize)
+
+    /**
+     * Camera
+     */
+    // Base camera
+    const camera = new THREE.PerspectiveCamera(25, sizes.width / sizes.height, 0.1, 100)
+    camera.position.set(1, 1, 3)
+    scene.add(camera)
+
+    // Controls
+    const controls = new OrbitControls(camera, canvas)
+    controls.target.y = 0.4
+    controls.enableDamping = true
+
+    /**
+     * Renderer
+     */
+    const renderer = createRenderer({
+        canvas: canvas,
+        antialias: true
+    })
     renderer.setSize(sizes.width, sizes.height)
     renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2))
-})
-
-/**
- * Camera
- */
-// Base camera
-const camera = new THREE.PerspectiveCamera(25, sizes.width / sizes.height, 0.1, 100)
-camera.position.set(1, 1, 3)
-scene.add(camera)
-
-// Controls
-const controls = new OrbitControls(camera, canvas)
-controls.target.y = 0.4
-controls.enableDamping = true
-
-/**
- * Renderer
- */
-const renderer = new THREE.WebGPURenderer({
-    canvas: canvas,
-    antialias: true
-})
-renderer.setSize(sizes.width, sizes.height)
-renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2))
-renderer.setClearColor('#171617')
-
-/**
- * Post processing
- */
-const postProcessing = new THREE.PostProcessing(renderer)
-
-const scenePass = pass(scene, camera)
-const scenePassColor = scenePass.getTextureNode('output')
-
-const bloomPass = bloom(scenePassColor, 1, 0.1, 1)
-
-const bloomGui = gui.addFolder('bloom')
-bloomGui.add(bloomPass.strength, 'value', 0, 10, 0.01).name('strength')
-bloomGui.add(bloomPass.radius, 'value', 0, 1, 0.01).name('radius')
-bloomGui.add(bloomPass.threshold, 'value', 0, 1, 0.01).name('threshold')
-
-postProcessing.outputNode = scenePassColor.add(bloomPass)
-
-/**
- * Animate
- */
-const clock = new THREE.Clock()
-
-const tick = () =>
-{
-    const elapsedTime = clock.getElapsedTime()
-
-    // Update controls
-    controls.update()
-
-    // Render
-    postProcessing.renderAsync()
-    // renderer.renderAsync(scene, camera)
-
-    // Call tick again on the next frame
-    window.requestAnimationFrame(tick)
+    renderer.setClearColor('#171617')
+
+    /**
+     * Post processing
+     */
+    const scenePass = pass(scene, camera)
+    scenePass.setMRT(sceneMRT())
+    const scenePassColor = scenePass.getTextureNode('output')
+    const scenePassEmissive = scenePass.getTextureNode('emissive')
+
+    const postProcessing = createPostProcessing({ renderer, input: scenePassColor, emissive: scenePassEmissive, time: timeline.time })
+    postProcessing.addGui(gui)
+
+    /**
+     * Animate
+     */
+    // Shared with the capture which updates the timeline itself
+    const update = () =>
+    {
+        // Update tornadoes
+        for(const tornado of tornadoes)
+            tornado.update(timeline.time.value, timeline.delta.value, renderer)
+
+        // Update ground scar
+        groundScar.update(timeline.delta.value, tornadoes.map(tornado => tornado.getFootprint()), renderer)
+
+        // Spin the grid mesh
+        gridMesh.rotation.y += timeline.delta.value * 0.3
+    }
+
+    const tick = () =>
+    {
+        // Update timeline
+        timeline.update()
+
+        update()
+
+        // Update controls
+        controls.update()
+
+        // Render
+        postProcessing.renderAsync()
+        // renderer.renderAsync(scene, camera)
+    }
+
+    renderer.setAnimationLoop(tick)
+
+    /**
+     * Capture
+     */
+    const capture = createCapture({
+        name: 'tornado',
+        renderer,
+        camera,
+        timeline,
+        render: () =>
+        {
+            update()
+            return postProcessing.renderAsync()
+        },
+        animate: tick
+    })
+    capture.addGui(gui)
+
+    /**
+     * Dispose
+     */
+    const dispose = () =>
+    {
+        capture.dispose()
+        renderer.setAnimationLoop(null)
+        window.removeEventListener('resize', onResize)
+
+        for(const tornado of tornadoes)
+            tornado.dispose()
+
+        controls.dispose()
+        gui.destroy()
+
+        groundScar.dispose()
+        scenePass.dispose()
+        postProcessing.dispose()
+        disposeScene(scene)
+        noiseSource.dispose()
+        uvCheckerTexture.dispose()
+        renderer.dispose()
+    }
+
+    return { gui, renderer, dispose }
 }
-
-tick()
\ No newline at end of file
@@ -1,15 +1,23 @@
 import * as THREE from 'three/webgpu';
-import { float, If, PI, color, cos, instanceIndex, Loop, mix, mod, sin, storage, Fn, uint, uniform, uniformArray, hash, vec3, vec4 } from 'three/tsl';
+import { Break, If, PI, PI2, acos, cameraPosition, cbrt, cos, cross, float, floor, instanceIndex, ivec3, Loop, max, min, mix, modInt, sin, sqrt, storage, Fn, uint, uniform, uniformArray, hash, uv, uvec2, uvec3, varying, vec2, vec3, vec4 } from 'three/tsl';
 
 import { GUI } from 'three/addons/libs/lil-gui.module.min.js';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { TransformControls } from 'three/addons/controls/TransformControls.js';
+import { MeshSurfaceSampler } from 'three/addons/math/MeshSurfaceSampler.js';
 
-let camera, scene, renderer, controls, updateCompute;
+import disposeScene from './disposeScene.js';
+import { createRenderer, isWebGPUBackendAsync } from './capabilities.js';
+import createTimeline from './timeline.js';
+import createGradientRamp from './gradientRamp.js';
+import createForceFields from './forceFields.js';
+import createStrangeAttractors from './strangeAttractors.js';
 
-init();
+let camera, scene, renderer, controls, updateCompute, updateEmitter, updateInteraction, gui, attractors, timeline, speedRamp, trailHead;
 
-function init() {
+const trailMaxLength = 32;
+
+export default function init( { canvas } ) {
 
     camera = new THREE.PerspectiveCamera( 25, window.innerWidth / window.innerHeight, 0.1, 100 );
     camera.position.set( 3, 5, 8 );
@@ -29,12 +37,11 @@ function init() {
 
     // renderer
 
-    renderer = new THREE.WebGPURenderer( { antialias: true } );
+    renderer = createRenderer( { canvas, antialias: true } );
     renderer.setPixelRatio( window.devicePixelRatio );
     renderer.setSize( window.innerWidth, window.innerHeight );
     renderer.setAnimationLoop( animate );
     renderer.setClearColor( '#000000' );
-    document.body.appendChild( renderer.domElement );
 
     controls = new OrbitControls( camera, renderer.domElement );
     controls.enableDamping = true;
@@ -45,35 +52,63 @@ function init() {
 
     // attractors
 
-    const attractorsPositions = uniformArray( [
-        new THREE.Vector3( - 1, 0, 0 ),
-        new THREE.Vector3( 1, 0, - 0.5 ),
-        new THREE.Vector3( 0, 0.5, 1 )
-    ] );
-    const attractorsRotationAxes = uniformArray( [
-        new THREE.Vector3( 0, 1, 0 ),
-        new THREE.Vector3( 0, 1, 0 ),
-        new THREE.Vector3( 1, 0, - 0.5 ).normalize()
-    ] );
-    const attractorsLength = uniform( attractorsPositions.array.length );
-    const attractors = [];
+    const attractorsMaxCount = 16;
+    const attractorsPositions = uniformArray( new Array( attractorsMaxCount ).fill().map( () => new THREE.Vector3() ) );
+    const attractorsRotationAxes = uniformArray( new Array( attractorsMaxCount ).fill().map( () => new THREE.Vector3( 0, 1, 0 ) ) );
+    const attractorsMasses = uniformArray( new Array( attractorsMaxCount ).fill( 0 ), 'float' );
+    const attractorsSpinningStrengths = uniformArray( new Array( attractorsMaxCount ).fill( 0 ), 'float' );
+    const attractorsPolarities = uniformArray( new Array( attractorsMaxCount ).fill( 1 ), 'float' );
+    const attractorsLength = uniform( 0 );
+    attractors = [];
+    const attractorsDebug = { controlsMode: 'rotate', helperVisible: true, count: 0 };
     const helpersRingGeometry = new THREE.RingGeometry( 1, 1.02, 32, 1, 0, Math.PI * 1.5 );
     const helpersArrowGeometry = new THREE.ConeGeometry( 0.1, 0.4, 12, 1, false );
     const helpersMaterial = new THREE.MeshBasicMaterial( { side: THREE.DoubleSide } );
 
-    for ( let i = 0; i < attractorsPositions.array.length; i ++ ) {
+    // attractors are packed at the start of the uniform arrays, the compute only loops over the first attractorsLength ones
+
+    const updateAttractorsUniforms = () => {
+
+        for ( let i = 0; i < attractors.length; i ++ ) {
+
+            const attractor = attractors[ i ];
+
+            attractorsPositions.array[ i ].copy( attractor.reference.position );
+            attractorsRotationAxes.array[ i ].set( 0, 1, 0 ).applyQuaternion( attractor.reference.quaternion );
+            attractorsMasses.array[ i ] = Number( `1e${attractor.massExponent}` );
+            attractorsSpinningStrengths.array[ i ] = attractor.spinningStrength;
+            attractorsPolarities.array[ i ] = attractor.polarity === 'repel' ? - 1 : 1;
+
+        }
+
+        attractorsLength.value = attractors.length;
+        attractorsDebug.count = attractors.length;
+
+    };
+
+    const addAttractor = ( {
+        position = new THREE.Vector3( ( Math.random() - 0.5 ) * 4, 0, ( Math.random() - 0.5 ) * 4 ),
+        rotationAxis = new THREE.Vector3( 0, 1, 0 ),
+        massExponent = 7,
+        spinningStrength = 2.75,
+        polarity = 'attract'
+    } = {} ) => {
+
+        if ( attractors.length >= attractorsMaxCount ) return;
 
         const attractor = {};
 
-        attractor.position = attractorsPositions.array[ i ];
-        attractor.orientation = attractorsRotationAxes.array[ i ];
+        attractor.massExponent = massExponent;
+        attractor.spinningStrength = spinningStrength;
+        attractor.polarity = polarity;
         attractor.reference = new THREE.Object3D();
-        attractor.reference.position.copy( attractor.position );
-        attractor.reference.quaternion.setFromUnitVectors( new THREE.Vector3( 0, 1, 0 ), attractor.orientation );
+        attractor.reference.position.copy( position );
+        attractor.reference.quaternion.setFromUnitVectors( new THREE.Vector3( 0, 1, 0 ), rotationAxis.clone().normalize() );
         scene.add( attractor.reference );
 
         attractor.helper = new THREE.Group();
         attractor.helper.scale.setScalar( 0.325 );
+        attractor.helper.visible = attractorsDebug.helperVisible;
         attractor.reference.add( attractor.helper );
 
         attractor.ring = new THREE.Mesh( helpersRingGeometry, helpersMaterial );
@@ -87,10 +122,10 @@ function init() {
         attractor.helper.add( attractor.arrow );
 
         attractor.controls = new TransformControls( camera, renderer.domElement );
-        attractor.controls.mode = 'rotate';
+        attractor.controls.mode = attractorsDebug.controlsMode === 'none' ? 'rotate' : attractorsDebug.controlsMode;
         attractor.controls.size = 0.5;
         attractor.controls.attach( attractor.reference );
-        attractor.controls.visible = true;
+        attractor.controls.visible = attractorsDebug.controlsMode !== 'none';
         attractor.controls.enabled = attractor.controls.visible;
         scene.add( attractor.controls );
 
@@ -100,37 +135,89 @@ function init() {
 
         } );
 
-        attractor.controls.addEventListener( 'change', () => {
+        attractor.controls.addEventListener( 'change', updateAttractorsUniforms );
 
-            attractor.position.copy( attractor.reference.position );
-            attractor.orientation.copy( new THREE.Vector3( 0, 1, 0 ).applyQuaternion( attractor.reference.quaternion ) );
+        // debug, folders are named after their index so presets find them back
 
-        } );
+        attractor.folder = attractorsFolder.addFolder( `attractor ${attractors.length}` );
+        attractor.folder.add( attractor, 'massExponent', 1, 10, 1 ).onChange( updateAttractorsUniforms );
+        attractor.folder.add( attractor, 'spinningStrength', 0, 10, 0.01 ).onChange( updateAttractorsUniforms );
+        attractor.folder.add( attractor, 'polarity', [ 'attract', 'repel' ] ).onChange( updateAttractorsUniforms );
+        attractor.folder.add( {
+            delete: () => {
+
+                removeAttractor( attractor );
+                countController.updateDisplay();
+
+            }
+        }, 'delete' );
 
         attractors.push( attractor );
+        updateAttractorsUniforms();
 
-    }
+    };
+
+    const removeAttractor = ( attractor ) => {
+
+        attractor.controls.detach();
+        attractor.controls.dispose();
+        scene.remove( attractor.controls );
+        scene.remove( attractor.reference );
+        attractor.folder.destroy();
+
+        attractors.splice( attractors.indexOf( attractor ), 1 );
+
+        for ( let i = 0; i < attractors.length; i ++ )
+            attractors[ i ].folder.title( `attractor ${i}` );
+
+        updateAttractorsUniforms();
+
+    };
 
     // particles
 
     const count = Math.pow( 2, 18 );
     const material = new THREE.SpriteNodeMaterial( { transparent: true, blending: THREE.AdditiveBlending, depthWrite: false } );
 
-    const attractorMass = uniform( Number( `1e${7}` ) );
     const particleGlobalMass = uniform( Number( `1e${4}` ) );
     const timeScale = uniform( 1 );
-    const spinningStrength = uniform( 2.75 );
     const maxSpeed = uniform( 8 );
     const gravityConstant = 6.67e-11;
     const velocityDamping = uniform( 0.1 );
     const scale = uniform( 0.008 );
     const boundHalfExtent = uniform( 8 );
-    const colorA = uniform( color( '#5900ff' ) );
-    const colorB = uniform( color( '#ffa575' ) );
+
+    // fixed timestep by default so the simulation gives consistent results
+
+    timeline = createTimeline( { fixedTimestep: true } );
+
+    // speed coloring
+
+    speedRamp = createGradientRamp( {
+        stops: [
+            { position: 0, color: '#5900ff' },
+            { position: 1, color: '#ffa575' }
+        ]
+    } );
 
     const positionBuffer = storage( new THREE.StorageInstancedBufferAttribute( count, 3 ), 'vec3', count );
     const velocityBuffer = storage( new THREE.StorageInstancedBufferAttribute( count, 3 ), 'vec3', count );
 
+    // trails, ring buffer of the last trailMaxLength positions (and speeds) of the first trailCount particles
+    // trailHead is the slot written by the next update, each particle owning a block of trailMaxLength slots
+
+    const trailCount = Math.pow( 2, 14 );
+    const trailLength = uniform( 16 );
+    const trailWidth = uniform( 0.006 );
+    trailHead = uniform( 0, 'uint' );
+
+    const trailAttribute = new THREE.StorageBufferAttribute( trailCount * trailMaxLength, 4 );
+    const trailBuffer = storage( trailAttribute, 'vec4', trailCount * trailMaxLength );
+
+    // writing and reading the history at any index needs the WebGPU backend, turned off once the WebGL fallback is known
+
+    let trailsSupported = true;
+
     const sphericalToVec3 = Fn( ( [ phi, theta ] ) => {
 
         const sinPhiRadius = sin( phi );
@@ -143,28 +230,144 @@ function init() {
 
     } );
 
-    // init compute
+    // emitter, particles live for a lifetime picked at spawn and fade in and out over it
+    // dead particles wait for the spawn window, which moves over the particles indices at the spawn rate
+
+    const lifeAttribute = new THREE.StorageInstancedBufferAttribute( count, 2 );
+    const lifeBuffer = storage( lifeAttribute, 'vec2', count ); // age, lifetime
+
+    const emitterShapes = [ 'point', 'sphere', 'disk', 'box', 'mesh' ];
+    const lifetimeDistributions = [ 'uniform', 'normal' ];
+    const emitterDebug = { shape: 'disk', lifetimeDistribution: 'uniform', spawnRate: 50000 };
+
+    const emitterShape = uniform( emitterShapes.indexOf( emitterDebug.shape ) );
+    const emitterPosition = uniform( new THREE.Vector3() );
+    const emitterSize = uniform( 2.5 );
+    const emitterSpeed = uniform( 0.05 );
+    const lifetimeDistribution = uniform( lifetimeDistributions.indexOf( emitterDebug.lifetimeDistribution ) );
+    const lifetimeMin = uniform( 2 );
+    const lifetimeMax = uniform( 8 );
+    const fadeIn = uniform( 0.2 );
+    const fadeOut = uniform( 1 );
+
+    const spawnStart = uniform( 0, 'uint' );
+    const spawnCount = uniform( 0, 'uint' );
+
+    // incremented on every update so the spawns don't repeat
+    // each particle owns randomChannels consecutive inputs so the channels of a particle never match another one's,
+    // the seed being spread by an odd constant to move the whole range between updates
+
+    const spawnSeed = uniform( Math.floor( Math.random() * 0xffffff ), 'uint' );
+    const randomChannels = 16;
+    const random = ( channel ) => hash( instanceIndex.mul( randomChannels ).add( channel ).add( spawnSeed.mul( uint( 0x9e3779b9 ) ) ) );
+
+    // mesh surface, sampled once, the points being scaled by the emitter size like the other shapes
+
+    const emitterSampleCount = 8192;
+    const emitterSampleGeometry = new THREE.TorusKnotGeometry( 0.5, 0.15, 128, 16 );
+    const emitterSampler = new MeshSurfaceSampler( new THREE.Mesh( emitterSampleGeometry ) ).build();
+    const emitterSampleAttribute = new THREE.StorageBufferAttribute( emitterSampleCount, 3 );
+    const emitterSample = new THREE.Vector3();
+
+    for ( let i = 0; i < emitterSampleCount; i ++ ) {
+
+        emitterSampler.sample( emitterSample );
+        emitterSampleAttribute.setXYZ( i, emitterSample.x, emitterSample.y, emitterSample.z );
+
+    }
+
+    emitterSampleGeometry.dispose();
+    const emitterSampleBuffer = storage( emitterSampleAttribute, 'vec3', emitterSampleCount );
+
+    // plain function so the assignments are added to the calling stack
+
+    const spawn = ( position, velocity, life ) => {
+
+        const offset = vec3( 0 ).toVar();
+        const sphereDirection = sphericalToVec3( acos( random( 0 ).mul( 2 ).sub( 1 ) ), random( 1 ).mul( PI2 ) );
+
+        If( emitterShape.equal( 1 ), () => {
+
+            offset.assign( sphereDirection.mul( cbrt( random( 2 ) ) ).mul( emitterSize ) );
+
+        } ).ElseIf( emitterShape.equal( 2 ), () => {
+
+            const angle = random( 0 ).mul( PI2 );
+            const radius = sqrt( random( 1 ) ).mul( emitterSize );
+            offset.assign( vec3( cos( angle ).mul( radius ), 0, sin( angle ).mul( radius ) ) );
+
+        } ).ElseIf( emitterShape.equal( 3 ), () => {
+
+            offset.assign( vec3( random( 0 ), random( 1 ), random( 2 ) ).sub( 0.5 ).mul( emitterSize.mul( 2 ) ) );
+
+        } ).ElseIf( emitterShape.equal( 4 ), () => {
+
+            const sampleIndex = min( uint( random( 0 ).mul( emitterSampleCount ) ), uint( emitterSampleCount - 1 ) );
+            offset.assign( emitterSampleBuffer.element( sampleIndex ).mul( emitterSize ) );
+
+        } );
+
+        position.assign( emitterPosition.add( offset ) );
+
+        const phi = random( 3 ).mul( PI2 );
+        const theta = random( 4 ).mul( PI );
+        velocity.assign( sphericalToVec3( phi, theta ).mul( emitterSpeed ) );
+
+        // the normal distribution is approximated by averaging 3 uniform ones
+
+        const lifetimeRatio = random( 5 ).toVar();
+
+        If( lifetimeDistribution.equal( 1 ), () => {
+
+            lifetimeRatio.assign( lifetimeRatio.add( random( 6 ) ).add( random( 7 ) ).div( 3 ) );
+
+        } );
+
+        life.assign( vec2( 0, mix( lifetimeMin, lifetimeMax, lifetimeRatio ) ) );
+
+    };
+
+    // 0 when dead
+
+    const lifeFade = ( life ) => {
+
+        const fadeInProgress = life.x.div( max( fadeIn, 0.0001 ) ).saturate();
+        const fadeOutProgress = life.y.sub( life.x ).div( max( fadeOut, 0.0001 ) ).saturate();
+
+        return fadeInProgress.mul( fadeOutProgress );
+
+    };
+
+    // init compute, everyone spawns at a random point of its life so the emitter starts running
 
     const init = Fn( () => {
 
         const position = positionBuffer.element( instanceIndex );
         const velocity = velocityBuffer.element( instanceIndex );
+        const life = lifeBuffer.element( instanceIndex );
+
+        spawn( position, velocity, life );
+        life.x.assign( random( 8 ).mul( life.y ) );
+
+        // trails start collapsed on the particle
+
+        if ( trailsSupported ) {
+
+            If( instanceIndex.lessThan( trailCount ), () => {
+
+                Loop( trailMaxLength, ( { i } ) => {
 
-        const basePosition = vec3(
-            hash( instanceIndex.add( uint( Math.random() * 0xffffff ) ) ),
-            hash( instanceIndex.add( uint( Math.random() * 0xffffff ) ) ),
-            hash( instanceIndex.add( uint( Math.random() * 0xffffff ) ) )
-        ).sub( 0.5 ).mul( vec3( 5, 0.2, 5 ) );
-        position.assign( basePosition );
+                    trailBuffer.element( instanceIndex.mul( trailMaxLength ).add( i ) ).assign( vec4( position, 0 ) );
 
-        const phi = hash( instanceIndex.add( uint( Math.random() * 0xffffff ) ) ).mul( PI ).mul( 2 );
-        const theta = hash( instanceIndex.add( uint( Math.random() * 0xffffff ) ) ).mul( PI );
-        const baseVelocity = sphericalToVec3( phi, theta ).mul( 0.05 );
-        velocity.assign( baseVelocity );
+                } );
+
+            } );
+
+        }
 
     } );
 
-    const initCompute = init().compute( count );
+    let initCompute = init().compute( count );
 
     const reset = () => {
 
@@ -172,7 +375,212 @@ function init() {
 
     };
 
-    reset();
+    // the first reset waits for the backend, see isWebGPUBackendAsync() below
+
+    let spawnAccumulator = 0;
+
+    updateEmitter = () => {
+
+        spawnAccumulator += emitterDebug.spawnRate * Math.max( timeline.delta.value * timeScale.value, 0 );
+
+        const spawned = Math.min( Math.floor( spawnAccumulator ), count );
+        spawnAccumulator -= Math.floor( spawnAccumulator );
+
+        spawnStart.value = ( spawnStart.value + spawnCount.value ) % count;
+        spawnCount.value = spawned;
+        spawnSeed.value ++;
+
+    };
+
+    // neighbour interaction, particles are binned in a uniform grid so each one only visits the 27 cells around it
+    // TSL has no atomics yet, so the ( cell hash, particle ) pairs are bitonic sorted and each cell points to its first pair
+    // the cell size is also the interaction radius
+
+    const interactionEnabled = uniform( 0 );
+    const cellSize = uniform( 0.08 );
+    const separationStrength = uniform( 1 );
+    const cohesionStrength = uniform( 0.5 );
+    const pressureStrength = uniform( 0.5 );
+    const restDensity = uniform( 2 );
+
+    // pairs visited per cell, bounding the cost in the crowded ones
+    // the pairs past it are skipped, so a crowded cell only interacts with its first cellNeighboursMax particles
+
+    const cellNeighboursMax = uniform( 8, 'uint' );
+
+    const cellPairBuffer = storage( new THREE.StorageBufferAttribute( new Uint32Array( count * 2 ), 2 ), 'uvec2', count );
+    const cellStartBuffer = storage( new THREE.StorageBufferAttribute( new Uint32Array( count ), 1 ), 'uint', count );
+    const densityBuffer = storage( new THREE.StorageInstancedBufferAttribute( count, 1 ), 'float', count );
+    const neighbourForceBuffer = storage( new THREE.StorageInstancedBufferAttribute( count, 3 ), 'vec3', count );
+
+    const cellOf = ( position ) => ivec3( floor( position.div( cellSize ) ) );
+
+    // as many hashes as particles, empty cells pointing past the last pair
+
+    const cellHash = ( cell ) => {
+
+        const key = uvec3( cell ).mul( uvec3( 73856093, 19349663, 83492791 ) );
+
+        return key.x.bitXor( key.y ).bitXor( key.z ).bitAnd( count - 1 );
+
+    };
+
+    const cellHashCompute = Fn( () => {
+
+        const cell = cellOf( positionBuffer.element( instanceIndex ) );
+        cellPairBuffer.element( instanceIndex ).assign( uvec2( cellHash( cell ), instanceIndex ) );
+
+    } )().compute( count );
+
+    // one compare and swap step of the bitonic sort, sortBlock and sortDistance going through the log2( count ) stages
+
+    const sortBlock = uniform( 0, 'uint' );
+    const sortDistance = uniform( 0, 'uint' );
+
+    const cellSortCompute = Fn( () => {
+
+        const partner = instanceIndex.bitXor( sortDistance );
+
+        If( partner.greaterThan( instanceIndex ), () => {
+
+            const pair = cellPairBuffer.element( instanceIndex ).toVar();
+            const partnerPair = cellPairBuffer.element( partner ).toVar();
+            const ascending = instanceIndex.bitAnd( sortBlock ).equal( 0 );
+
+            If( pair.x.greaterThan( partnerPair.x ).equal( ascending ), () => {
+
+                cellPairBuffer.element( instanceIndex ).assign( partnerPair );
+                cellPairBuffer.element( partner ).assign( pair );
+
+            } );
+
+        } );
+
+    } )().compute( count );
+
+    const cellClearCompute = Fn( () => {
+
+        cellStartBuffer.element( instanceIndex ).assign( count );
+
+    } )().compute( count );
+
+    const cellStartCompute = Fn( () => {
+
+        const key = cellPairBuffer.element( instanceIndex ).x;
+
+        If( instanceIndex.equal( 0 ).or( cellPairBuffer.element( instanceIndex.sub( 1 ) ).x.notEqual( key ) ), () => {
+
+            cellStartBuffer.element( key ).assign( instanceIndex );
+
+        } );
+
+    } )().compute( count );
+
+    // calls back with the index of every other particle within the cell size, the distance and the direction toward it
+
+    const forEachNeighbour = ( position, callback ) => {
+
+        const cell = cellOf( position ).toVar();
+
+        Loop( { start: - 1, end: 2, name: 'offsetX' }, { start: - 1, end: 2, name: 'offsetY' }, { start: - 1, end: 2, name: 'offsetZ' }, ( { offsetX, offsetY, offsetZ } ) => {
+
+            const key = cellHash( cell.add( ivec3( offsetX, offsetY, offsetZ ) ) ).toVar();
+            const start = cellStartBuffer.element( key ).toVar();
+
+            Loop( { start: 0, end: cellNeighboursMax, type: 'uint' }, ( { i } ) => {
+
+                const pairIndex = start.add( i );
+                const pair = cellPairBuffer.element( pairIndex );
+
+                If( pairIndex.greaterThanEqual( count ).or( pair.x.notEqual( key ) ), () => {
+
+                    Break();
+
+                } );
+
+                const otherIndex = pair.y.toVar();
+                const toOther = positionBuffer.element( otherIndex ).sub( position ).toVar();
+                const distance = toOther.length().toVar();
+
+                const otherLife = lifeBuffer.element( otherIndex );
+
+                If( otherIndex.notEqual( instanceIndex ).and( otherLife.x.lessThan( otherLife.y ) ).and( distance.lessThan( cellSize ) ).and( distance.greaterThan( 0 ) ), () => {
+
+                    callback( otherIndex, distance, toOther.div( distance ) );
+
+                } );
+
+            } );
+
+        } );
+
+    };
+
+    const densityCompute = Fn( () => {
+
+        const position = positionBuffer.element( instanceIndex ).toVar();
+        const density = float( 1 ).toVar();
+
+        forEachNeighbour( position, ( otherIndex, distance ) => {
+
+            density.addAssign( distance.div( cellSize ).oneMinus().pow( 2 ) );
+
+        } );
+
+        densityBuffer.element( instanceIndex ).assign( density );
+
+    } )().compute( count );
+
+    const interactionCompute = Fn( () => {
+
+        const position = positionBuffer.element( instanceIndex ).toVar();
+        const pressure = densityBuffer.element( instanceIndex ).sub( restDensity ).toVar();
+        const force = vec3( 0 ).toVar();
+
+        forEachNeighbour( position, ( otherIndex, distance, direction ) => {
+
+            const proximity = distance.div( cellSize ).oneMinus();
+
+            // separation pushes away from the closest neighbours and cohesion pulls toward the further ones
+            force.subAssign( direction.mul( proximity.pow( 2 ) ).mul( separationStrength ) );
+            force.addAssign( direction.mul( proximity.mul( proximity.oneMinus() ) ).mul( cohesionStrength ) );
+
+            // SPH like pressure, away from the neighbours while the pair is denser than the rest density
+            const pairPressure = pressure.add( densityBuffer.element( otherIndex ).sub( restDensity ) ).div( 2 );
+            force.subAssign( direction.mul( pairPressure.mul( proximity ) ).mul( pressureStrength ) );
+
+        } );
+
+        neighbourForceBuffer.element( instanceIndex ).assign( force );
+
+    } )().compute( count );
+
+    updateInteraction = () => {
+
+        // none of the passes run while disabled, the sort alone being about 171 dispatches
+
+        if ( interactionEnabled.value === 0 ) return;
+
+        renderer.compute( cellHashCompute );
+
+        for ( let block = 2; block <= count; block *= 2 ) {
+
+            for ( let distance = block / 2; distance > 0; distance /= 2 ) {
+
+                sortBlock.value = block;
+                sortDistance.value = distance;
+                renderer.compute( cellSortCompute );
+
+            }
+
+        }
+
+        renderer.compute( cellClearCompute );
+        renderer.compute( cellStartCompute );
+        renderer.compute( densityCompute );
+        renderer.compute( interactionCompute );
+
+    };
 
     // update compute
 
@@ -181,56 +589,147 @@ function init() {
 
     const update = Fn( () => {
 
-        // const delta = timerDelta().mul( timeScale ).min( 1 / 30 ).toVar();
-        const delta = float( 1 / 60 ).mul( timeScale ).toVar(); // uses fixed delta to consistant result
+        const delta = timeline.delta.mul( timeScale ).toVar();
         const position = positionBuffer.element( instanceIndex );
         const velocity = velocityBuffer.element( instanceIndex );
+        const life = lifeBuffer.element( instanceIndex );
 
-        // force
+        // spawn, when dead and inside the spawn window
 
-        const force = vec3( 0 ).toVar();
+        const inSpawnWindow = instanceIndex.add( count ).sub( spawnStart ).bitAnd( count - 1 ).lessThan( spawnCount );
+        const spawning = life.x.greaterThanEqual( life.y ).and( inSpawnWindow ).toVar();
 
-        Loop( attractorsLength, ( { i } ) => {
+        If( spawning, () => {
 
-            const attractorPosition = attractorsPositions.element( i );
-            const attractorRotationAxis = attractorsRotationAxes.element( i );
-            const toAttractor = attractorPosition.sub( position );
-            const distance = toAttractor.length();
-            const direction = toAttractor.normalize();
+            spawn( position, velocity, life );
 
-            // gravity
-            const gravityStrength = attractorMass.mul( particleMass ).mul( gravityConstant ).div( distance.pow( 2 ) ).toVar();
-            const gravityForce = direction.mul( gravityStrength );
-            force.addAssign( gravityForce );
+        } );
 
-            // spinning
-            const spinningForce = attractorRotationAxis.mul( gravityStrength ).mul( spinningStrength );
-            const spinningVelocity = spinningForce.cross( toAttractor );
-            force.addAssign( spinningVelocity );
+        If( life.x.lessThan( life.y ), () => {
 
-        } );
+            if ( strangeAttractors.enabled ) {
 
-        // velocity
+                // strange attractor, the particles follow its flow instead of the forces
 
-        velocity.addAssign( force.mul( delta ) );
-        const speed = velocity.length();
-        If( speed.greaterThan( maxSpeed ), () => {
+                strangeAttractors.step( position, velocity, delta );
+
+            } else {
+
+                // force
+
+                const force = vec3( 0 ).toVar();
+
+                Loop( attractorsLength, ( { i } ) => {
+
+                    const attractorPosition = attractorsPositions.element( i );
+                    const attractorRotationAxis = attractorsRotationAxes.element( i );
+                    const attractorMass = attractorsMasses.element( i );
+                    const attractorSpinningStrength = attractorsSpinningStrengths.element( i );
+                    const attractorPolarity = attractorsPolarities.element( i );
+                    const toAttractor = attractorPosition.sub( position );
+                    const distance = toAttractor.length();
+                    const direction = toAttractor.normalize();
+
+                    // gravity
+                    const gravityStrength = attractorMass.mul( particleMass ).mul( gravityConstant ).div( distance.pow( 2 ) ).toVar();
+                    const gravityForce = direction.mul( gravityStrength ).mul( attractorPolarity );
+                    force.addAssign( gravityForce );
+
+                    // spinning
+                    const spinningForce = attractorRotationAxis.mul( gravityStrength ).mul( attractorSpinningStrength );
+                    const spinningVelocity = spinningForce.cross( toAttractor );
+                    force.addAssign( spinningVelocity );
+
+                } );
+
+                // force fields
+
+                force.addAssign( forceFields.force( position, velocity ) );
+
+                // neighbours
+
+                force.addAssign( neighbourForceBuffer.element( instanceIndex ).mul( interactionEnabled ) );
+
+                // velocity
+
+                velocity.addAssign( force.mul( delta ) );
+                const speed = velocity.length();
+                If( speed.greaterThan( maxSpeed ), () => {
+
+                    velocity.assign( velocity.normalize().mul( maxSpeed ) );
+
+                } );
+                velocity.mulAssign( velocityDamping.oneMinus() );
 
-            velocity.assign( velocity.normalize().mul( maxSpeed ) );
+                // position
+
+                position.addAssign( velocity.mul( delta ) );
+
+            }
+
+            // age, particles leaving the box die instead of wrapping around
+
+            life.x.addAssign( delta );
+
+            const halfHalfExtent = boundHalfExtent.div( 2 );
+            const distanceToCenter = max( position.x.abs(), max( position.y.abs(), position.z.abs() ) );
+
+            If( distanceToCenter.greaterThan( halfHalfExtent ), () => {
+
+                life.x.assign( life.y );
+
+            } );
 
         } );
-        velocity.mulAssign( velocityDamping.oneMinus() );
 
-        // position
+        // trail
+
+        if ( trailsSupported ) {
+
+            If( instanceIndex.lessThan( trailCount ), () => {
+
+                const trailStart = instanceIndex.mul( trailMaxLength );
+                const trailPoint = vec4( position, velocity.length() );
+
+                If( spawning, () => {
+
+                    // the trail restarts from the spawn point
+
+                    Loop( trailMaxLength, ( { i } ) => {
+
+                        trailBuffer.element( trailStart.add( i ) ).assign( trailPoint );
+
+                    } );
+
+                } ).Else( () => {
 
-        position.addAssign( velocity.mul( delta ) );
+                    trailBuffer.element( trailStart.add( trailHead ) ).assign( trailPoint );
 
-        // box loop
+                } );
 
-        const halfHalfExtent = boundHalfExtent.div( 2 ).toVar();
-        position.assign( mod( position.add( halfHalfExtent ), boundHalfExtent ).sub( halfHalfExtent ) );
+            } );
 
+        }
+
+    } );
+    // the update compute is generated again when the force fields or the strange attractors change
+
+    const rebuildUpdateCompute = () => {
+
+        updateCompute.dispose();
+        updateCompute = update().compute( count );
+
+    };
+
+    const forceFields = createForceFields( {
+        time: timeline.time,
+        onChange: rebuildUpdateCompute
+    } );
+
+    const strangeAttractors = createStrangeAttractors( {
+        onChange: rebuildUpdateCompute
     } );
+
     updateCompute = update().compute( count );
 
     // nodes
@@ -242,9 +741,9 @@ function init() {
         const velocity = velocityBuffer.toAttribute();
         const speed = velocity.length();
         const colorMix = speed.div( maxSpeed ).smoothstep( 0, 0.5 );
-        const finalColor = mix( colorA, colorB, colorMix );
+        const finalColor = speedRamp.sample( colorMix ).rgb;
 
-        return vec4( finalColor, 1 );
+        return vec4( finalColor.mul( lifeFade( lifeBuffer.toAttribute() ) ), 1 );
 
     } )();
 
@@ -256,21 +755,65 @@ function init() {
     const mesh = new THREE.InstancedMesh( geometry, material, count );
     scene.add( mesh );
 
+    // trails mesh, one ribbon per trailed particle with a column of vertices per history slot
+    // columns past trailLength collapse on the last point, the ribbon facing the camera and tapering with the age
+    // the vertex shader reads the history directly, which needs the WebGPU backend (see trailsSupported)
+
+    const trailReadBuffer = storage( trailAttribute, 'vec4', trailCount * trailMaxLength ).toReadOnly();
+    const trailLastAge = uint( trailLength ).sub( 1 );
+
+    const trailPointAt = ( age ) => {
+
+        const slot = modInt( trailHead.add( trailMaxLength - 1 ).sub( age ), trailMaxLength );
+
+        return trailReadBuffer.element( instanceIndex.mul( trailMaxLength ).add( slot ) );
+
+    };
+
+    const trailAge = min( uint( uv().x.mul( trailMaxLength - 1 ).round() ), trailLastAge );
+    const trailPoint = trailPointAt( trailAge );
+
+    // toward the newer neighbour, the newest point using the one after it
+
+    const trailNeighbourAge = max( trailAge, uint( 1 ) );
+    const trailTangent = trailPointAt( trailNeighbourAge.sub( 1 ) ).xyz.sub( trailPointAt( trailNeighbourAge ).xyz );
+    const trailSide = cross( trailTangent, cameraPosition.sub( trailPoint.xyz ) );
+
+    const trailProgress = trailAge.toFloat().div( max( trailLastAge.toFloat(), 1 ) );
+    const trailLifeFade = lifeFade( storage( lifeAttribute, 'vec2', count ).toReadOnly().element( instanceIndex ) );
+
+    const trailMaterial = new THREE.MeshBasicNodeMaterial( { transparent: true, blending: THREE.AdditiveBlending, depthWrite: false, side: THREE.DoubleSide } );
+
+    trailMaterial.positionNode = trailPoint.xyz.add(
+        trailSide.div( max( trailSide.length(), 0.00001 ) ).mul( uv().y.sub( 0.5 ) ).mul( trailWidth ).mul( trailProgress.oneMinus() )
+    );
+
+    trailMaterial.colorNode = Fn( () => {
+
+        const colorMix = varying( trailPoint.w ).div( maxSpeed ).smoothstep( 0, 0.5 );
+        const fade = varying( trailProgress.oneMinus().mul( trailLifeFade ) );
+
+        return vec4( speedRamp.sample( colorMix ).rgb.mul( fade ), 1 );
+
+    } )();
+
+    const trailGeometry = new THREE.PlaneGeometry( 1, 1, trailMaxLength - 1, 1 );
+    const trails = new THREE.InstancedMesh( trailGeometry, trailMaterial, trailCount );
+    trails.frustumCulled = false;
+    trails.visible = false;
+    scene.add( trails );
+
     // debug
 
-    const gui = new GUI();
+    gui = new GUI();
 
-    gui.add( { attractorMassExponent: attractorMass.value.toString().length - 1 }, 'attractorMassExponent', 1, 10, 1 ).onChange( value => attractorMass.value = Number( `1e${value}` ) );
     gui.add( { particleGlobalMassExponent: particleGlobalMass.value.toString().length - 1 }, 'particleGlobalMassExponent', 1, 10, 1 ).onChange( value => particleGlobalMass.value = Number( `1e${value}` ) );
     gui.add( maxSpeed, 'value', 0, 10, 0.01 ).name( 'maxSpeed' );
     gui.add( velocityDamping, 'value', 0, 0.1, 0.001 ).name( 'velocityDamping' );
-    gui.add( spinningStrength, 'value', 0, 10, 0.01 ).name( 'spinningStrength' );
     gui.add( scale, 'value', 0, 0.1, 0.001 ).name( 'scale' );
     gui.add( boundHalfExtent, 'value', 0, 20, 0.01 ).name( 'boundHalfExtent' );
-    gui.addColor( { color: colorA.value.getHexString( THREE.SRGBColorSpace ) }, 'color' ).name( 'colorA' ).onChange( value => colorA.value.set( value ) );
-    gui.addColor( { color: colorB.value.getHexString( THREE.SRGBColorSpace ) }, 'color' ).name( 'colorB' ).onChange( value => colorB.value.set( value ) );
     gui
-        .add( { controlsMode: attractors[ 0 ].controls.mode }, 'controlsMode' )
+        .add( attractorsDebug, 'controlsMode' )
         .options( [ 'translate', 'rotate', 'none' ] )
         .onChange( value => {
 
@@ -294,7 +837,7 @@ function init() {
         } );
 
     gui
-        .add( { helperVisible: attractors[ 0 ].helper.visible }, 'helperVisible' )
+        .add( attractorsDebug, 'helperVisible' )
         .onChange( value => {
 
             for ( const attractor of attractors )
@@ -304,6 +847,113 @@ function init() {
 
     gui.add( { reset }, 'reset' );
 
+    speedRamp.addGui( gui, 'speed gradient' );
+
+    timeline.addGui( gui );
+
+    forceFields.addGui( gui );
+
+    strangeAttractors.addGui( gui );
+
+    const emitterFolder = gui.addFolder( 'emitter' );
+    emitterFolder.add( emitterDebug, 'shape', emitterShapes ).onChange( value => emitterShape.value = emitterShapes.indexOf( value ) );
+    emitterFolder.add( emitterSize, 'value', 0, 5, 0.01 ).name( 'size' );
+    emitterFolder.add( emitterPosition.value, 'x', - 4, 4, 0.01 ).name( 'positionX' );
+    emitterFolder.add( emitterPosition.value, 'y', - 4, 4, 0.01 ).name( 'positionY' );
+    emitterFolder.add( emitterPosition.value, 'z', - 4, 4, 0.01 ).name( 'positionZ' );
+    emitterFolder.add( emitterSpeed, 'value', 0, 2, 0.001 ).name( 'speed' );
+    emitterFolder.add( emitterDebug, 'spawnRate', 0, count, 1 );
+    emitterFolder.add( emitterDebug, 'lifetimeDistribution', lifetimeDistributions ).onChange( value => lifetimeDistribution.value = lifetimeDistributions.indexOf( value ) );
+    emitterFolder.add( lifetimeMin, 'value', 0.1, 20, 0.01 ).name( 'lifetimeMin' );
+    emitterFolder.add( lifetimeMax, 'value', 0.1, 20, 0.01 ).name( 'lifetimeMax' );
+    emitterFolder.add( fadeIn, 'value', 0, 5, 0.01 ).name( 'fadeIn' );
+    emitterFolder.add( fadeOut, 'value', 0, 5, 0.01 ).name( 'fadeOut' );
+
+    const interactionFolder = gui.addFolder( 'interaction' );
+    interactionFolder.add( { enabled: interactionEnabled.value === 1 }, 'enabled' ).onChange( value => interactionEnabled.value = value ? 1 : 0 );
+    interactionFolder.add( cellSize, 'value', 0.01, 0.5, 0.001 ).name( 'cellSize' );
+    interactionFolder.add( separationStrength, 'value', 0, 10, 0.01 ).name( 'separationStrength' );
+    interactionFolder.add( cohesionStrength, 'value', 0, 10, 0.01 ).name( 'cohesionStrength' );
+    interactionFolder.add( pressureStrength, 'value', 0, 10, 0.01 ).name( 'pressureStrength' );
+    interactionFolder.add( restDensity, 'value', 0, 20, 0.01 ).name( 'restDensity' );
+    interactionFolder.add( cellNeighboursMax, 'value', 1, 64, 1 ).name( 'cellNeighboursMax' );
+
+    const trailsFolder = gui.addFolder( 'trails' );
+    trailsFolder.add( trails, 'visible' ).name( 'enabled' );
+    trailsFolder.add( trailLength, 'value', 2, trailMaxLength, 1 ).name( 'length' );
+    trailsFolder.add( trailWidth, 'value', 0, 0.05, 0.0001 ).name( 'width' );
+
+    const attractorsFolder = gui.addFolder( 'attractors' );
+
+    // setting the count (from a preset for instance) adds or removes attractors at the end, before their folders get loaded
+
+    const countController = attractorsFolder
+        .add( attractorsDebug, 'count', 0, attractorsMaxCount, 1 )
+        .onChange( value => {
+
+            while ( attractors.length < value ) addAttractor();
+            while ( attractors.length > value ) removeAttractor( attractors[ attractors.length - 1 ] );
+
+        } );
+
+    attractorsFolder.add( {
+        add: () => {
+
+            addAttractor();
+            countController.updateDisplay();
+
+        }
+    }, 'add' );
+
+    addAttractor( { position: new THREE.Vector3( - 1, 0, 0 ) } );
+    addAttractor( { position: new THREE.Vector3( 1, 0, - 0.5 ) } );
+    addAttractor( { position: new THREE.Vector3( 0, 0.5, 1 ), rotationAxis: new THREE.Vector3( 1, 0, - 0.5 ) } );
+
+    // webgpu only features, their folders are removed on the WebGL fallback so presets can't turn them back on
+    // the particles are reset once the kernels match the backend
+
+    isWebGPUBackendAsync( renderer ).then( isWebGPU => {
+
+        if ( ! isWebGPU ) {
+
+            trailsSupported = false;
+            trails.visible = false;
+            trailsFolder.destroy();
+
+            initCompute.dispose();
+            initCompute = init().compute( count );
+            rebuildUpdateCompute();
+
+            // the sort and the cell starts scatter their writes, which the transform feedback compute can't do
+
+            interactionEnabled.value = 0;
+            interactionFolder.destroy();
+
+        }
+
+        reset();
+
+    } );
+
+    return { gui, renderer, dispose, webGPUFeatures: [ 'particle trails', 'particle interaction' ] };
+
+}
+
+function dispose() {
+
+    renderer.setAnimationLoop( null );
+    window.removeEventListener( 'resize', onWindowResize );
+
+    for ( const attractor of attractors )
+        attractor.controls.dispose();
+
+    controls.dispose();
+    gui.destroy();
+
+    disposeScene( scene );
+    speedRamp.dispose();
+    renderer.dispose();
+
 }
 
 function onWindowResize() {
@@ -317,9 +967,21 @@ function onWindowResize() {
 
 async function animate() {
 
+    timeline.update();
     controls.update();
 
-    renderer.compute( updateCompute );
+    // paused, the damping would still slow the particles down
+
+    if ( timeline.delta.value > 0 ) {
+
+        updateEmitter();
+        updateInteraction();
+
+        renderer.compute( updateCompute );
+        trailHead.value = ( trailHead.value + 1 ) % trailMaxLength;
+
+    }
+
     renderer.render( scene, camera );
 
 }
@@ -1,14 +1,26 @@
 import * as THREE from 'three';
 import { GUI } from 'three/addons/libs/lil-gui.module.min.js';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { TransformControls } from 'three/addons/controls/TransformControls.js';
+import { GPUComputationRenderer } from 'three/addons/misc/GPUComputationRenderer.js';
 
-let camera, scene, renderer, controls;
+import disposeScene from './disposeScene.js';
+
+let camera, scene, renderer, controls, gui;
 let particleSystem, particleUniforms, particleGeometry;
+let gpuCompute, positionVariable, velocityVariable, gpuParticleSystem;
 const PARTICLE_COUNT = 1000;
+const GPU_TEXTURE_SIZE = 512;
+const GPU_PARTICLE_COUNT = GPU_TEXTURE_SIZE * GPU_TEXTURE_SIZE;
 const ATTRACTOR_COUNT = 3;
 
+const settings = {
+  simulation: 'gpu'
+};
+
 const attractors = [];
 const attractorHelpers = [];
+const attractorControls = [];
 
 const sizes = {
     width: window.innerWidth,
@@ -19,19 +31,20 @@ const sizes = {
 // Vertex Shader
 const vertexShader = `
   attribute vec3 velocity;
-  attribute float particleMass;
+  attribute float particleMassMultiplier;
   
   uniform float scale;
+  uniform float particleGlobalMass;
   
   varying vec3 vVelocity;
   varying float vParticleMass;
   
   void main() {
     vVelocity = velocity;
-    vParticleMass = particleMass;
+    vParticleMass = particleMassMultiplier * particleGlobalMass;
     vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
     gl_Position = projectionMatrix * mvPosition;
-    gl_PointSize = scale * particleMass * (0.35 / length(mvPosition.xyz));
+    gl_PointSize = scale * vParticleMass * (0.35 / length(mvPosition.xyz));
   }
 `;
 
@@ -52,6 +65,100 @@ const fragmentShader = `
   }
 `;
 
+// GPU Vertex Shader, positions and velocities are read from the simulation textures
+const gpuVertexShader = `
+  attribute vec2 reference;
+
+  uniform sampler2D texturePosition;
+  uniform sampler2D textureVelocity;
+  uniform float scale;
+  uniform float particleGlobalMass;
+
+  varying vec3 vVelocity;
+  varying float vParticleMass;
+
+  void main() {
+    vec4 positionData = texture2D(texturePosition, reference);
+    vVelocity = texture2D(textureVelocity, reference).xyz;
+    vParticleMass = positionData.w * particleGlobalMass;
+    vec4 mvPosition = modelViewMatrix * vec4(positionData.xyz, 1.0);
+    gl_Position = projectionMatrix * mvPosition;
+    gl_PointSize = scale * vParticleMass * (0.35 / length(mvPosition.xyz));
+  }
+`;
+
+// GPU Velocity Shader, same forces as updateParticles()
+// The w of the position texture holds the particle mass multiplier
+const velocityShader = `
+  uniform float attractorMass;
+  uniform float particleGlobalMass;
+  uniform float timeScale;
+  uniform float spinningStrength;
+  uniform float maxSpeed;
+  uniform float gravityConstant;
+  uniform float velocityDamping;
+  uniform vec3 attractorPositions[ATTRACTOR_COUNT];
+  uniform vec3 attractorRotationAxes[ATTRACTOR_COUNT];
+
+  void main() {
+    vec2 uv = gl_FragCoord.xy / resolution.xy;
+    vec4 positionData = texture2D(texturePosition, uv);
+    vec3 position = positionData.xyz;
+    float particleMass = positionData.w * particleGlobalMass;
+    vec3 velocity = texture2D(textureVelocity, uv).xyz;
+
+    // Calculate forces
+    vec3 force = vec3(0.0);
+    for (int i = 0; i < ATTRACTOR_COUNT; i++) {
+      vec3 toAttractor = attractorPositions[i] - position;
+      float distSq = dot(toAttractor, toAttractor);
+
+      // Gravity
+      float gravityStrength = attractorMass * particleMass * gravityConstant / distSq;
+      force += normalize(toAttractor) * gravityStrength;
+
+      // Spinning
+      force += cross(attractorRotationAxes[i], toAttractor) * gravityStrength * spinningStrength;
+    }
+
+    // Update velocity
+    velocity += force * timeScale;
+
+    // Apply speed limit
+    float speed = length(velocity);
+    if (speed > maxSpeed) {
+      velocity *= maxSpeed / speed;
+    }
+
+    // Apply damping
+    velocity *= 1.0 - velocityDamping;
+
+    gl_FragColor = vec4(velocity, 1.0);
+  }
+`;
+
+// GPU Position Shader
+// textureVelocity isn't a dependency, updateGPUParticles() sets it
+const positionShader = `
+  uniform sampler2D textureVelocity;
+  uniform float timeScale;
+  uniform float boundHalfExtent;
+
+  void main() {
+    vec2 uv = gl_FragCoord.xy / resolution.xy;
+    vec4 positionData = texture2D(texturePosition, uv);
+    vec3 velocity = texture2D(textureVelocity, uv).xyz;
+
+    // Update position
+    vec3 position = positionData.xyz + velocity * timeScale;
+
+    // Box loop
+    position = mod(position + boundHalfExtent, 2.0 * boundHalfExtent) - boundHalfExtent;
+
+    gl_FragColor = vec4(position, positionData.w);
+  }
+`;
+
 const uniforms = {
   attractorMass: { value: 1e7 },
   particleGlobalMass: { value: 1e4 },
@@ -68,7 +175,12 @@ const uniforms = {
   attractorRotationAxes: { value: [] }
 };
 
-function init() {
+export default function init({ canvas }) {
+  attractors.length = 0;
+  attractorHelpers.length = 0;
+  attractorControls.length = 0;
+  settings.simulation = 'gpu';
+
   camera = new THREE.PerspectiveCamera(25, window.innerWidth / window.innerHeight, 0.1, 100);
   camera.position.set(3, 5, 8);
 
@@ -84,11 +196,11 @@ function init() {
   scene.add(directionalLight);
 
   // Renderer
-  renderer = new THREE.WebGLRenderer({ antialias: true });
+  renderer = new THREE.WebGLRenderer({ canvas, antialias: true });
   renderer.setPixelRatio(window.devicePixelRatio);
   renderer.setSize(window.innerWidth, window.innerHeight);
+  renderer.setAnimationLoop(animate);
   renderer.setClearColor('#000000');
-  document.body.appendChild(renderer.domElement);
 
   controls = new OrbitControls(camera, renderer.domElement);
   controls.enableDamping = true;
@@ -102,9 +214,33 @@ function init() {
 
   // Particles
   createParticles();
+  createGPUParticles();
 
   // GUI
   setupGUI();
+
+  return { gui, renderer, dispose };
+}
+
+function dispose() {
+  renderer.setAnimationLoop(null);
+  window.removeEventListener('resize', onWindowResize);
+
+  attractorControls.forEach(transformControls => transformControls.dispose());
+  controls.dispose();
+  gui.destroy();
+
+  if (gpuCompute) {
+    positionVariable.material.dispose();
+    velocityVariable.material.dispose();
+    gpuCompute.dispose();
+    gpuCompute = null;
+    gpuParticleSystem = null;
+  }
+
+  disposeScene(scene);
+  renderer.dispose();
+  renderer.forceContextLoss();
 }
 const attractorPositions = [
     new THREE.Vector3(-0.5, 0.5, 0),
@@ -119,11 +255,15 @@ const attractorRotationAxes = [
 
 function setupAttractors() {
 
-    uniforms.attractorPositions.value = attractorPositions;
-    uniforms.attractorRotationAxes.value = attractorRotationAxes;
+    // Copies, the defaults stay untouched by the edits for the next init
+    uniforms.attractorPositions.value = attractorPositions.map(position => position.clone());
+    uniforms.attractorRotationAxes.value = attractorRotationAxes.map(rotationAxis => rotationAxis.clone());
 
     const sphereGeometry = new THREE.SphereGeometry(0.15, 16, 16);
     const SphereMaterial = new THREE.PointsMaterial({color: 0x0055DD, size: 0.025})
+    const helpersRingGeometry = new THREE.RingGeometry(1, 1.02, 32, 1, 0, Math.PI * 1.5);
+    const helpersArrowGeometry = new THREE.ConeGeometry(0.1, 0.4, 12, 1, false);
+    const helpersMaterial = new THREE.MeshBasicMaterial({ side: THREE.DoubleSide });
 
     for (let i = 0; i < ATTRACTOR_COUNT; i++) 
     {
@@ -135,36 +275,57 @@ function setupAttractors() {
         const center = new THREE.Points(sphereGeometry, SphereMaterial);
         attractor.add(center)
 
+        // Ring and arrow showing the spinning direction
+        const helper = new THREE.Group();
+        helper.scale.setScalar(0.325);
+        attractor.add(helper);
+
+        const ring = new THREE.Mesh(helpersRingGeometry, helpersMaterial);
+        ring.rotation.x = -Math.PI * 0.5;
+        helper.add(ring);
+
+        const arrow = new THREE.Mesh(helpersArrowGeometry, helpersMaterial);
+        arrow.position.x = 1;
+        arrow.position.z = 0.2;
+        arrow.rotation.x = Math.PI * 0.5;
+        helper.add(arrow);
+
+        // Transform controls, the orbit controls are paused while dragging
+        const transformControls = new TransformControls(camera, renderer.domElement);
+        transformControls.mode = 'rotate';
+        transformControls.size = 0.5;
+        transformControls.attach(attractor);
+        scene.add(transformControls);
+
+        transformControls.addEventListener('dragging-changed', (event) => {
+            controls.enabled = !event.value;
+        });
+        transformControls.addEventListener('change', syncAttractorUniforms);
+
         attractors.push(attractor);
-        attractorHelpers.push(center);
+        attractorHelpers.push(helper);
+        attractorControls.push(transformControls);
     }
 }
 
+// Both simulations read the attractors from the uniforms
+function syncAttractorUniforms() {
+    attractors.forEach((attractor, index) => {
+        uniforms.attractorPositions.value[index].copy(attractor.position);
+        uniforms.attractorRotationAxes.value[index].set(0, 1, 0).applyQuaternion(attractor.quaternion);
+    });
+}
+
 function createParticles() {
   const positions = new Float32Array(PARTICLE_COUNT * 3);
   const velocities = new Float32Array(PARTICLE_COUNT * 3);
-  const particleMasses = new Float32Array(PARTICLE_COUNT);
-
-  for (let i = 0; i < PARTICLE_COUNT; i++) {
-    const i3 = i * 3;
-    positions[i3] = (Math.random() - 0.5) * 5;
-    positions[i3 + 1] = (Math.random() - 0.5) * 0.2;
-    positions[i3 + 2] = (Math.random() - 0.5) * 5;
-
-    const phi = Math.random() * Math.PI * 2;
-    const theta = Math.random() * Math.PI;
-    const r = 0.05;
-    velocities[i3] = r * Math.sin(phi) * Math.sin(theta);
-    velocities[i3 + 1] = r * Math.cos(phi);
-    velocities[i3 + 2] = r * Math.sin(phi) * Math.cos(theta);
-
-    particleMasses[i] = (Math.random() * 0.75 + 0.25) * uniforms.particleGlobalMass.value;
-  }
+  const particleMassMultipliers = new Float32Array(PARTICLE_COUNT);
+  fillParticles(positions, velocities, 3, particleMassMultipliers);
 
   particleGeometry = new THREE.BufferGeometry();
   particleGeometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
   particleGeometry.setAttribute('velocity', new THREE.BufferAttribute(velocities, 3));
-  particleGeometry.setAttribute('particleMass', new THREE.BufferAttribute(particleMasses, 1));
+  particleGeometry.setAttribute('particleMassMultiplier', new THREE.BufferAttribute(particleMassMultipliers, 1));
 
   const particleMaterial = new THREE.ShaderMaterial({
     uniforms: uniforms,
@@ -179,10 +340,131 @@ function createParticles() {
   scene.add(particleSystem);
 }
 
+// Random start state shared by both simulations
+// Only the mass multipliers are stored, both simulations applying particleGlobalMass live
+// The GPU textures are RGBA (stride 4) and keep the mass multiplier in w instead of a multipliers array
+function fillParticles(positions, velocities, stride, particleMassMultipliers = null) {
+  const count = positions.length / stride;
+
+  for (let i = 0; i < count; i++) {
+    const offset = i * stride;
+    positions[offset] = (Math.random() - 0.5) * 5;
+    positions[offset + 1] = (Math.random() - 0.5) * 0.2;
+    positions[offset + 2] = (Math.random() - 0.5) * 5;
+
+    const phi = Math.random() * Math.PI * 2;
+    const theta = Math.random() * Math.PI;
+    const r = 0.05;
+    velocities[offset] = r * Math.sin(phi) * Math.sin(theta);
+    velocities[offset + 1] = r * Math.cos(phi);
+    velocities[offset + 2] = r * Math.sin(phi) * Math.cos(theta);
+
+    const massMultiplier = Math.random() * 0.75 + 0.25;
+    if (particleMassMultipliers) {
+      particleMassMultipliers[i] = massMultiplier;
+    } else {
+      positions[offset + 3] = massMultiplier;
+    }
+  }
+}
+
+function createGPUParticles() {
+  // Float render targets aren't available everywhere, the CPU simulation is used instead
+  if (!renderer.extensions.has('EXT_color_buffer_float')) {
+    console.warn('Float render targets aren\'t supported, falling back to the CPU simulation');
+    settings.simulation = 'cpu';
+    return;
+  }
+
+  gpuCompute = new GPUComputationRenderer(GPU_TEXTURE_SIZE, GPU_TEXTURE_SIZE, renderer);
+
+  const positionTexture = gpuCompute.createTexture();
+  const velocityTexture = gpuCompute.createTexture();
+  fillParticles(positionTexture.image.data, velocityTexture.image.data, 4);
+
+  velocityVariable = gpuCompute.addVariable('textureVelocity', velocityShader, velocityTexture);
+  positionVariable = gpuCompute.addVariable('texturePosition', positionShader, positionTexture);
+  gpuCompute.setVariableDependencies(velocityVariable, [positionVariable, velocityVariable]);
+  gpuCompute.setVariableDependencies(positionVariable, [positionVariable]);
+
+  // Same uniform objects as the CPU simulation so the GUI drives both
+  velocityVariable.material.defines.ATTRACTOR_COUNT = ATTRACTOR_COUNT;
+  Object.assign(velocityVariable.material.uniforms, {
+    attractorMass: uniforms.attractorMass,
+    particleGlobalMass: uniforms.particleGlobalMass,
+    timeScale: uniforms.timeScale,
+    spinningStrength: uniforms.spinningStrength,
+    maxSpeed: uniforms.maxSpeed,
+    gravityConstant: uniforms.gravityConstant,
+    velocityDamping: uniforms.velocityDamping,
+    attractorPositions: uniforms.attractorPositions,
+    attractorRotationAxes: uniforms.attractorRotationAxes
+  });
+  Object.assign(positionVariable.material.uniforms, {
+    textureVelocity: { value: null },
+    timeScale: uniforms.timeScale,
+    boundHalfExtent: uniforms.boundHalfExtent
+  });
+
+  const error = gpuCompute.init();
+  if (error !== null) {
+    console.warn(`GPU simulation unavailable (${error}), falling back to the CPU simulation`);
+    gpuCompute.dispose();
+    gpuCompute = null;
+    settings.simulation = 'cpu';
+    return;
+  }
+
+  // Each point looks up its texel
+  const references = new Float32Array(GPU_PARTICLE_COUNT * 2);
+  for (let i = 0; i < GPU_PARTICLE_COUNT; i++) {
+    references[i * 2] = (i % GPU_TEXTURE_SIZE + 0.5) / GPU_TEXTURE_SIZE;
+    references[i * 2 + 1] = (Math.floor(i / GPU_TEXTURE_SIZE) + 0.5) / GPU_TEXTURE_SIZE;
+  }
+
+  const gpuParticleGeometry = new THREE.BufferGeometry();
+  gpuParticleGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(GPU_PARTICLE_COUNT * 3), 3));
+  gpuParticleGeometry.setAttribute('reference', new THREE.BufferAttribute(references, 2));
+
+  const gpuParticleMaterial = new THREE.ShaderMaterial({
+    uniforms: {
+      ...uniforms,
+      texturePosition: { value: null },
+      textureVelocity: { value: null }
+    },
+    vertexShader: gpuVertexShader,
+    fragmentShader: fragmentShader,
+    transparent: true,
+    blending: THREE.AdditiveBlending,
+    depthWrite: false
+  });
+
+  gpuParticleSystem = new THREE.Points(gpuParticleGeometry, gpuParticleMaterial);
+  gpuParticleSystem.frustumCulled = false;
+  scene.add(gpuParticleSystem);
+}
+
+function updateGPUParticles() {
+  // Dependencies get the previous step, the position reads the target the velocity pass is about to write instead
+  positionVariable.material.uniforms.textureVelocity.value = gpuCompute.getAlternateRenderTarget(velocityVariable).texture;
+  gpuCompute.compute();
+
+  gpuParticleSystem.material.uniforms.texturePosition.value = gpuCompute.getCurrentRenderTarget(positionVariable).texture;
+  gpuParticleSystem.material.uniforms.textureVelocity.value = gpuCompute.getCurrentRenderTarget(velocityVariable).texture;
+}
+
+function updateSimulationVisibility() {
+  particleSystem.visible = settings.simulation === 'cpu';
+
+  if (gpuParticleSystem) {
+    gpuParticleSystem.visible = settings.simulation === 'gpu';
+  }
+}
+
 function updateParticles() {
   const positions = particleGeometry.attributes.position.array;
   const velocities = particleGeometry.attributes.velocity.array;
-  const particleMasses = particleGeometry.attributes.particleMass.array;
+  const particleMassMultipliers = particleGeometry.attributes.particleMassMultiplier.array;
 
   const attractorPositions = uniforms.attractorPositions.value;
   const attractorRotationAxes = uniforms.attractorRotationAxes.value;
@@ -200,7 +482,7 @@ function updateParticles() {
       const dist = Math.sqrt(distSq);
 
       // Gravity
-      const gravityStrength = uniforms.attractorMass.value * particleMasses[i] * uniforms.gravityConstant.value / distSq;
+      const gravityStrength = uniforms.attractorMass.value * particleMassMultipliers[i] * uniforms.particleGlobalMass.value * uniforms.gravityConstant.value / distSq;
       const forceMag = gravityStrength / dist;
       fx += forceMag * dx;
       fy += forceMag * dy;
@@ -253,7 +535,11 @@ function updateParticles() {
 }
 
 function setupGUI() {
-  const gui = new GUI();
+  gui = new GUI();
+
+  gui.add(settings, 'simulation', gpuCompute ? ['gpu', 'cpu'] : ['cpu'])
+    .onChange(updateSimulationVisibility);
+  updateSimulationVisibility();
 
   gui.add({ attractorMassExponent: Math.log10(uniforms.attractorMass.value) }, 'attractorMassExponent', 1, 10, 1)
     .onChange(value => uniforms.attractorMass.value = Math.pow(10, value));
@@ -270,47 +556,55 @@ function setupGUI() {
     .add({ controlsMode: 'rotate' }, 'controlsMode')
     .options(['translate', 'rotate', 'none'])
     .onChange(value => {
-      attractors.forEach((attractor, index) => {
-        const controls = scene.getObjectByName(`AttractorControls${index}`);
+      attractorControls.forEach(transformControls => {
         if (value === 'none') {
-          controls.visible = false;
-          controls.enabled = false;
+          transformControls.visible = false;
+          transformControls.enabled = false;
         } else {
-          controls.visible = true;
-          controls.enabled = true;
-          controls.mode = value;
+          transformControls.visible = true;
+          transformControls.enabled = true;
+          transformControls.mode = value;
         }
       });
     });
+  gui
+    .add({ helperVisible: true }, 'helperVisible')
+    .onChange(value => {
+      attractorHelpers.forEach(helper => helper.visible = value);
+    });
 
 
   gui.add({ reset: resetParticles }, 'reset');
 }
 
 function resetParticles() {
+  // Restart against the edited attractors
+  syncAttractorUniforms();
+
   const positions = particleGeometry.attributes.position.array;
   const velocities = particleGeometry.attributes.velocity.array;
-  const particleMasses = particleGeometry.attributes.particleMass.array;
+  const particleMassMultipliers = particleGeometry.attributes.particleMassMultiplier.array;
+  fillParticles(positions, velocities, 3, particleMassMultipliers);
 
-  for (let i = 0; i < PARTICLE_COUNT; i++) {
-    const i3 = i * 3;
-    positions[i3] = (Math.random() - 0.5) * 5;
-    positions[i3 + 1] = (Math.random() - 0.5) * 0.2;
-    positions[i3 + 2] = (Math.random() - 0.5) * 5;
+  particleGeometry.attributes.position.needsUpdate = true;
+  particleGeometry.attributes.velocity.needsUpdate = true;
+  particleGeometry.attributes.particleMassMultiplier.needsUpdate = true;
 
-    const phi = Math.random() * Math.PI * 2;
-    const theta = Math.random() * Math.PI;
-    const r = 0.05;
-    velocities[i3] = r * Math.sin(phi) * Math.sin(theta);
-    velocities[i3 + 1] = r * Math.cos(phi);
-    velocities[i3 + 2] = r * Math.sin(phi) * Math.cos(theta);
+  if (gpuCompute) {
+    const positionTexture = gpuCompute.createTexture();
+    const velocityTexture = gpuCompute.createTexture();
+    fillParticles(positionTexture.image.data, velocityTexture.image.data, 4);
 
-    particleMasses[i] = (Math.random() * 0.75 + 0.25) * uniforms.particleGlobalMass.value;
-  }
+    for (const renderTarget of positionVariable.renderTargets) {
+      gpuCompute.renderTexture(positionTexture, renderTarget);
+    }
+    for (const renderTarget of velocityVariable.renderTargets) {
+      gpuCompute.renderTexture(velocityTexture, renderTarget);
+    }
 
-  particleGeometry.attributes.position.needsUpdate = true;
-  particleGeometry.attributes.velocity.needsUpdate = true;
-  particleGeometry.attributes.particleMass.needsUpdate = true;
+    positionTexture.dispose();
+    velocityTexture.dispose();
+  }
 }
 
 function onWindowResize() {
@@ -324,11 +618,14 @@ function onWindowResize() {
 }
 
 function animate() {
-  requestAnimationFrame(animate);
   controls.update();
-  updateParticles();
+
+  if (settings.simulation === 'gpu') {
+    updateGPUParticles();
+  } else {
+    updateParticles();
+  }
+
   renderer.render(scene, camera);
 }
 
-init();
-animate();
\ No newline at end of file
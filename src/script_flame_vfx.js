@@ -1,15 +1,20 @@
-
-
 import * as THREE from 'three/webgpu';
-import { PI2, oneMinus, spherizeUV, sin, step, texture, timerLocal, Fn, uv, vec2, vec3, vec4, mix, billboarding } from 'three/tsl';
+import { PI2, oneMinus, spherizeUV, sin, step, Fn, uv, vec2, vec3, vec4, mix, hash, instanceIndex, instancedBufferAttribute, uint, uniform, varying, positionLocal, modelViewMatrix, cameraProjectionMatrix } from 'three/tsl';
 
+import { GUI } from 'three/addons/libs/lil-gui.module.min.js';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { MeshSurfaceSampler } from 'three/addons/math/MeshSurfaceSampler.js';
 
-let camera, scene, renderer, controls;
+import disposeScene from './disposeScene.js';
+import { createRenderer } from './capabilities.js';
+import createTimeline from './timeline.js';
+import createCapture from './capture.js';
+import createGradientRamp from './gradientRamp.js';
+import { createNoiseSource } from './tslUtils.js';
 
-init();
+let camera, scene, renderer, controls, gui, noiseSource, timeline, capture, flame1Ramp, flame2Ramp, flame1Material, flame2Material;
 
-function init() {
+export default function init( { canvas } ) {
 
     camera = new THREE.PerspectiveCamera( 25, window.innerWidth / window.innerHeight, 0.1, 100 );
     camera.position.set( 1, 1, 3 );
@@ -17,60 +22,54 @@ function init() {
     scene = new THREE.Scene();
     scene.background = new THREE.Color( 0x201919 );
 
-    // textures
-
-    const textureLoader = new THREE.TextureLoader();
+    // noise
 
-    const cellularTexture = textureLoader.load( './Voronoi 1 - 256x256' );
-    const perlinTexture = textureLoader.load( './perlinTexture.png' );
+    noiseSource = createNoiseSource();
+    timeline = createTimeline();
 
-    // gradient canvas
+    // gradient ramps
 
-    const gradient = {};
-    gradient.element = document.createElement( 'canvas' );
-    gradient.element.width = 128;
-    gradient.element.height = 1;
-    gradient.context = gradient.element.getContext( '2d' );
+    flame1Ramp = createGradientRamp( {
+        stops: [
+            { position: 0, color: '#090033' },
+            { position: 0.25, color: '#5f1f93' },
+            { position: 0.5, color: '#e02e96' },
+            { position: 0.75, color: '#ffbd80' },
+            { position: 1, color: '#fff0db' }
+        ]
+    } );
 
-    gradient.colors = [
-        '#090033',
-        '#5f1f93',
-        '#e02e96',
-        '#ffbd80',
-        '#fff0db',
-    ];
+    flame2Ramp = createGradientRamp( {
+        stops: [
+            { position: 0, color: '#ffffff' },
+            { position: 1, color: '#ffffff' }
+        ]
+    } );
 
-    gradient.texture = new THREE.CanvasTexture( gradient.element );
-    gradient.texture.colorSpace = THREE.SRGBColorSpace;
+    // emitter variations, every flame picks its own values from its instanceIndex
 
-    gradient.update = () => {
+    const emitterSeed = uniform( 0, 'uint' );
+    const scaleMin = uniform( 0.6 );
+    const scaleMax = uniform( 1 );
+    const timeOffset = uniform( 10 );
+    const gradientVariation = uniform( 0.2 );
 
-        const fillGradient = gradient.context.createLinearGradient( 0, 0, gradient.element.width, 0 );
+    // each instance owns 4 consecutive inputs, the seed being spread by an odd constant so a new seed draws new values
 
-        for ( let i = 0; i < gradient.colors.length; i ++ ) {
+    const instanceRandom = ( channel ) => hash( instanceIndex.mul( 4 ).add( channel ).add( emitterSeed.mul( uint( 0x9e3779b9 ) ) ) );
 
-            const progress = i / ( gradient.colors.length - 1 );
-            const color = gradient.colors[ i ];
-            fillGradient.addColorStop( progress, color );
-
-        }
-
-        gradient.context.fillStyle = fillGradient;
-        gradient.context.fillRect( 0, 0, gradient.element.width, gradient.element.height );
-
-        gradient.texture.needsUpdate = true;
-
-    };
-
-    gradient.update();
+    // computed per vertex and interpolated, so constant across each flame
+    const instanceTimeOffset = varying( instanceRandom( 1 ).mul( timeOffset ) );
+    const instanceUvOffset = varying( instanceRandom( 2 ) );
+    const instanceGradientOffset = varying( instanceRandom( 3 ).sub( 0.5 ).mul( gradientVariation ) );
 
     // flame 1 material
 
-    const flame1Material = new THREE.SpriteNodeMaterial( { transparent: true, side: THREE.DoubleSide } );
+    flame1Material = new THREE.MeshBasicNodeMaterial( { transparent: true, side: THREE.DoubleSide, depthWrite: false } );
 
-    flame1Material.colorNode = Fn( () => {
+    const flame1Color = Fn( () => {
 
-        const time = timerLocal();
+        const time = timeline.time.add( instanceTimeOffset );
 
         // main UV
         const mainUv = uv().toVar();
@@ -84,8 +83,8 @@ function init() {
         mainUv.x.addAssign( gradient1.mul( gradient2 ).mul( 0.2 ) );
 
         // cellular noise
-        const cellularUv = mainUv.mul( 0.5 ).add( vec2( 0, time.negate().mul( 0.5 ) ) ).mod( 1 );
-        const cellularNoise = texture( cellularTexture, cellularUv, 0 ).r.oneMinus().smoothstep( 0, 0.5 ).oneMinus();
+        const cellularUv = mainUv.mul( 0.5 ).add( vec2( instanceUvOffset, time.negate().mul( 0.5 ) ) ).mod( 1 );
+        const cellularNoise = noiseSource.cellular( cellularUv ).oneMinus().smoothstep( 0, 0.5 ).oneMinus();
         cellularNoise.mulAssign( gradient2 );
 
         // shape
@@ -93,22 +92,24 @@ function init() {
         shape.assign( shape.sub( cellularNoise ) );
 
         // gradient color
-        const gradientColor = texture( gradient.texture, vec2( shape.remap( 0, 1, 0, 1 ), 0 ) );
+        const gradientColor = flame1Ramp.sample( shape.remap( 0, 1, 0, 1 ).add( instanceGradientOffset ) );
 
         // output
         const color = mix( gradientColor, vec3( 1 ), shape.step( 0.8 ).oneMinus() );
         const alpha = shape.smoothstep( 0, 0.3 );
         return vec4( color.rgb, alpha );
 
-    } )();
+    } );
+
+    flame1Material.colorNode = flame1Color();
 
     // flame 2 material
 
-    const flame2Material = new THREE.SpriteNodeMaterial( { transparent: true, side: THREE.DoubleSide } );
+    flame2Material = new THREE.MeshBasicNodeMaterial( { transparent: true, side: THREE.DoubleSide, depthWrite: false } );
 
-    flame2Material.colorNode = Fn( () => {
+    const flame2Color = Fn( () => {
 
-        const time = timerLocal();
+        const time = timeline.time.add( instanceTimeOffset );
 
         // main UV
         const mainUv = uv().toVar();
@@ -117,9 +118,9 @@ function init() {
         mainUv.assign( mainUv.mul( 2, 1 ).sub( vec2( 0.5, 0 ) ) ); // scale
 
         // perlin noise
-        const perlinUv = mainUv.add( vec2( 0, time.negate().mul( 1 ) ) ).mod( 1 );
-        const perlinNoise = texture( perlinTexture, perlinUv, 0 ).sub( 0.5 ).mul( 1 );
-        mainUv.x.addAssign( perlinNoise.x.mul( 0.5 ) );
+        const perlinUv = mainUv.add( vec2( instanceUvOffset, time.negate().mul( 1 ) ) ).mod( 1 );
+        const perlinNoise = noiseSource.perlin( perlinUv, 'r' ).sub( 0.5 ).mul( 1 );
+        mainUv.x.addAssign( perlinNoise.mul( 0.5 ) );
 
         // gradients
         const gradient1 = sin( time.mul( 10 ).sub( mainUv.y.mul( PI2 ).mul( 2 ) ) );
@@ -129,14 +130,14 @@ function init() {
 
         // displaced perlin noise
         const displacementPerlinUv = mainUv.mul( 0.5 ).add( vec2( 0, time.negate().mul( 0.25 ) ) ).mod( 1 );
-        const displacementPerlinNoise = texture( perlinTexture, displacementPerlinUv, 0 ).sub( 0.5 ).mul( 1 );
+        const displacementPerlinNoise = noiseSource.perlin( displacementPerlinUv, 'rg' ).sub( 0.5 ).mul( 1 );
         const displacedPerlinUv = mainUv.add( vec2( 0, time.negate().mul( 0.5 ) ) ).add( displacementPerlinNoise ).mod( 1 );
-        const displacedPerlinNoise = texture( perlinTexture, displacedPerlinUv, 0 ).sub( 0.5 ).mul( 1 );
+        const displacedPerlinNoise = noiseSource.perlin( displacedPerlinUv, 'r' ).sub( 0.5 ).mul( 1 );
         mainUv.x.addAssign( displacedPerlinNoise.mul( 0.5 ) );
 
         // cellular noise
         const cellularUv = mainUv.add( vec2( 0, time.negate().mul( 1.5 ) ) ).mod( 1 );
-        const cellularNoise = texture( cellularTexture, cellularUv, 0 ).r.oneMinus().smoothstep( 0.25, 1 );
+        const cellularNoise = noiseSource.cellular( cellularUv ).oneMinus().smoothstep( 0.25, 1 );
 
         // shape
         const shape = mainUv.sub( 0.5 ).mul( vec2( 6, 1 ) ).length().step( 0.5 );
@@ -144,36 +145,129 @@ function init() {
         shape.mulAssign( gradient3 );
         shape.assign( step( 0.01, shape ) );
 
+        // gradient color, along the height
+        const gradientColor = flame2Ramp.sample( mainUv.y.add( instanceGradientOffset ) );
+
         // output
-        return vec4( vec3( 1 ), shape );
+        return vec4( gradientColor.rgb, shape );
+
+    } );
+
+    flame2Material.colorNode = flame2Color();
+
+    // billboarding - follow the camera rotation only horizontally, around each instance offset
+
+    const emitterMaxCount = 256;
+    const emitterOffsets = new THREE.InstancedBufferAttribute( new Float32Array( emitterMaxCount * 3 ), 3 );
+    const instanceOffset = instancedBufferAttribute( emitterOffsets );
+
+    const flameVertex = Fn( ( [ size ] ) => {
 
-    } )();
+        const scale = mix( scaleMin, scaleMax, instanceRandom( 0 ) );
+        const local = positionLocal.mul( size ).mul( scale );
+
+        const viewCenter = modelViewMatrix.mul( vec4( instanceOffset, 1 ) ).xyz;
+        const viewUp = modelViewMatrix.mul( vec4( 0, 1, 0, 0 ) ).xyz;
+        const viewPosition = viewCenter.add( vec3( local.x, 0, local.z ) ).add( viewUp.mul( local.y ) );
+
+        return cameraProjectionMatrix.mul( vec4( viewPosition, 1 ) );
+
+    } );
+
+    flame1Material.vertexNode = flameVertex( vec3( 0.5, 1, 1 ) );
+    flame2Material.vertexNode = flameVertex( vec3( 1, 1, 1 ) );
+
+    // ground, for the surface placement
+
+    const groundGeometry = new THREE.PlaneGeometry( 3, 3, 48, 48 );
+    groundGeometry.rotateX( - Math.PI * 0.5 );
+    const groundPositions = groundGeometry.attributes.position;
+
+    for ( let i = 0; i < groundPositions.count; i ++ ) {
+
+        const x = groundPositions.getX( i );
+        const z = groundPositions.getZ( i );
+        groundPositions.setY( i, Math.sin( x * 3 ) * Math.cos( z * 2.5 ) * 0.12 - 0.12 );
+
+    }
+
+    groundGeometry.computeVertexNormals();
+
+    const ground = new THREE.Mesh( groundGeometry, new THREE.MeshBasicNodeMaterial( { color: '#100c0c' } ) );
+    scene.add( ground );
+
+    const groundSampler = new MeshSurfaceSampler( ground ).build();
+
+    // emitter, a single instanced draw with the flames placed along a line, a ring or the ground surface
+    // the plane is moved up so the flames stand on their offset, like the sprites centered at their bottom
+
+    const flameGeometry = new THREE.PlaneGeometry( 1, 1 );
+    flameGeometry.translate( 0, 0.5, 0 );
+
+    const flames = new THREE.InstancedMesh( flameGeometry, flame1Material, emitterMaxCount );
+    flames.frustumCulled = false;
+    scene.add( flames );
+
+    const emitter = {
+        placement: 'ring',
+        count: 12,
+        length: 2,
+        radius: 0.8,
+        style: 'flame1',
+        seed: 0
+    };
 
-    // billboarding - follow the camera rotation only horizontally
+    const updateEmitter = () => {
 
-    flame1Material.vertexNode = billboarding();
-    flame2Material.vertexNode = billboarding();
+        const position = new THREE.Vector3();
 
-    // meshes
+        // seeded so a seed always gives the same surface placement
+        let randomState = emitter.seed + 1;
+        groundSampler.setRandomGenerator( () => {
 
-    const flame1 = new THREE.Sprite( flame1Material );
-    flame1.center.set( 0.5, 0 );
-    flame1.scale.x = 0.5; // optional
-    flame1.position.x = - 0.5;
-    scene.add( flame1 );
+            randomState = ( randomState * 16807 ) % 2147483647;
+            return ( randomState - 1 ) / 2147483646;
 
-    const flame2 = new THREE.Sprite( flame2Material );
-    flame2.center.set( 0.5, 0 );
-    flame2.position.x = 0.5;
-    scene.add( flame2 );
+        } );
+
+        for ( let i = 0; i < emitter.count; i ++ ) {
+
+            if ( emitter.placement === 'line' ) {
+
+                const progress = emitter.count > 1 ? i / ( emitter.count - 1 ) : 0.5;
+                position.set( ( progress - 0.5 ) * emitter.length, 0, 0 );
+
+            } else if ( emitter.placement === 'ring' ) {
+
+                const angle = i / emitter.count * Math.PI * 2;
+                position.set( Math.cos( angle ) * emitter.radius, 0, Math.sin( angle ) * emitter.radius );
+
+            } else {
+
+                groundSampler.sample( position );
+
+            }
+
+            emitterOffsets.setXYZ( i, position.x, position.y, position.z );
+
+        }
+
+        emitterOffsets.needsUpdate = true;
+        emitterSeed.value = emitter.seed;
+        flames.count = emitter.count;
+        flames.material = emitter.style === 'flame1' ? flame1Material : flame2Material;
+        ground.visible = emitter.placement === 'surface';
+
+    };
+
+    updateEmitter();
 
     // renderer
 
-    renderer = new THREE.WebGPURenderer( { antialias: true } );
+    renderer = createRenderer( { canvas, antialias: true } );
     renderer.setPixelRatio( window.devicePixelRatio );
     renderer.setSize( window.innerWidth, window.innerHeight );
     renderer.setAnimationLoop( animate );
-    document.body.appendChild( renderer.domElement );
 
     controls = new OrbitControls( camera, renderer.domElement );
     controls.enableDamping = true;
@@ -182,6 +276,72 @@ function init() {
 
     window.addEventListener( 'resize', onWindowResize );
 
+    // debug
+
+    gui = new GUI();
+
+    gui.add( noiseSource, 'source', [ 'texture', 'procedural' ] ).name( 'noiseSource' ).onChange( () => {
+
+        // color nodes read the noise source when building
+        flame1Material.colorNode = flame1Color();
+        flame1Material.needsUpdate = true;
+        flame2Material.colorNode = flame2Color();
+        flame2Material.needsUpdate = true;
+
+    } );
+
+    const emitterFolder = gui.addFolder( 'emitter' );
+    emitterFolder.add( emitter, 'placement', [ 'line', 'ring', 'surface' ] ).onChange( updateEmitter );
+    emitterFolder.add( emitter, 'count', 1, emitterMaxCount, 1 ).onChange( updateEmitter );
+    emitterFolder.add( emitter, 'length', 0, 10, 0.01 ).onChange( updateEmitter );
+    emitterFolder.add( emitter, 'radius', 0, 5, 0.01 ).onChange( updateEmitter );
+    emitterFolder.add( emitter, 'style', [ 'flame1', 'flame2' ] ).onChange( updateEmitter );
+    emitterFolder.add( emitter, 'seed', 0, 1000, 1 ).onChange( updateEmitter );
+    emitterFolder.add( scaleMin, 'value', 0, 2, 0.01 ).name( 'scaleMin' );
+    emitterFolder.add( scaleMax, 'value', 0, 2, 0.01 ).name( 'scaleMax' );
+    emitterFolder.add( timeOffset, 'value', 0, 100, 0.1 ).name( 'timeOffset' );
+    emitterFolder.add( gradientVariation, 'value', 0, 1, 0.01 ).name( 'gradientVariation' );
+
+    flame1Ramp.addGui( gui, 'flame1 gradient' );
+    flame2Ramp.addGui( gui, 'flame2 gradient' );
+
+    timeline.addGui( gui );
+
+    // capture
+
+    capture = createCapture( {
+        name: 'flame',
+        renderer,
+        camera,
+        timeline,
+        render: () => renderer.renderAsync( scene, camera ),
+        animate
+    } );
+    capture.addGui( gui );
+
+    return { gui, renderer, dispose };
+
+}
+
+function dispose() {
+
+    capture.dispose();
+    renderer.setAnimationLoop( null );
+    window.removeEventListener( 'resize', onWindowResize );
+
+    controls.dispose();
+    gui.destroy();
+
+    // only the current style is in the scene
+    disposeScene( scene );
+    flame1Material.dispose();
+    flame2Material.dispose();
+    noiseSource.dispose();
+    flame1Ramp.dispose();
+    flame2Ramp.dispose();
+
+    renderer.dispose();
+
 }
 
 function onWindowResize() {
@@ -195,6 +355,7 @@ function onWindowResize() {
 
 async function animate() {
 
+    timeline.update();
     controls.update();
 
     renderer.render( scene, camera );
@@ -1,351 +1,360 @@
 import GUI from 'lil-gui'
 import * as THREE from 'three/webgpu'
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js'
-import { dot, cos, float, min, timerLocal, atan2, uniform, pass, bloom, PI, PI2, color, positionLocal, rangeFog, sin, texture, tslFn, uv, vec2, vec3, vec4 } from 'three/webgpu'
-import gridMaterial from './GridMaterial'
-
-/**
- * Base
- */
-// Debug
-const gui = new GUI({ width: 400 })
-
-// Canvas
-const canvas = document.querySelector('canvas.webgl')
-
-// Scene
-const scene = new THREE.Scene()
-scene.fogNode = rangeFog(color('#171617'), 2, 15)
-
-// Loaders
-const textureLoader = new THREE.TextureLoader()
-
-// Texture
-const perlinTexture = textureLoader.load('./perlinTexture.png')
-perlinTexture.wrapS = THREE.RepeatWrapping
-perlinTexture.wrapT = THREE.RepeatWrapping
-
-const uvCheckerTexture = textureLoader.load('./uvCheckerByValle.jpg')
-uvCheckerTexture.colorSpace = THREE.SRGBColorSpace
-uvCheckerTexture.wrapS = THREE.RepeatWrapping
-uvCheckerTexture.wrapT = THREE.RepeatWrapping
+import { atan2, cos, float, max, min, mx_noise_float, sin, uniform, pass, color, positionLocal, rangeFog, tslFn, uv, vec2, vec3, vec4 } from 'three/webgpu'
+import createGridMaterial from './GridMaterial'
+import disposeScene from './disposeScene'
+import { createRenderer } from './capabilities'
+import createTimeline from './timeline'
+import createPostProcessing, { sceneMRT, setBloomOutput } from './postProcessing'
+import { createNoiseSource, depthFade, luminance, radialNoiseStack, scrollingNoiseStack } from './tslUtils'
 
 /**
  * TSL functions
  */
-const toRadialUv = tslFn(([uv, multiplier, rotation, offset]) => {
-    const centeredUv = uv.sub(0.5).toVar();
-    const distanceToCenter = centeredUv.length()
-    const angle = atan2(centeredUv.y, centeredUv.x);
-    const radialUv = vec2(angle.add(PI).div(PI2), distanceToCenter).toVar()
-    radialUv.mulAssign(multiplier)
-    radialUv.x.addAssign(rotation)
-    radialUv.y.addAssign(offset)
-
-    return radialUv
-})
+// The displacement keeps the MaterialX 3D noise instead of the noise source of the layers
+// Those are 2D tileable lookups, which would pinch at the poles and seam where the angle wraps once mapped on the sphere
+const twistedSphere = tslFn(([position, swirlStrength, turbulenceStrength, pulseStrength, dripStrength, time]) => {
+    // Relative to the sphere center
+    const center = vec3(0, 0.5, 0)
+    const offset = position.sub(center).toVar()
+    const elevation = offset.y
+    const radius = vec2(offset.x, offset.z).length()
 
-const toSkewedUv = tslFn(([uv, skew]) => {
-    return vec2(
-        uv.x.add(uv.y.mul(skew.x)),
-        uv.y.add(uv.x.mul(skew.y))
-    )
-})
+    // Swirl
+    const angle = atan2(offset.z, offset.x).add(elevation.mul(swirlStrength).mul(sin(time.mul(10))))
+
+    // Pulse
+    const pulse = sin(time.mul(40)).mul(pulseStrength).add(1)
 
-const twistedSphere = tslFn(([position, time]) => {
+    // Turbulences
+    const turbulence = mx_noise_float(offset.mul(4).sub(vec3(0, time.mul(10), 0))).mul(turbulenceStrength)
 
     const newPosition = vec3(
-        position.x,
-        position.y,
-        position.z,
-    )
+        cos(angle).mul(radius),
+        elevation,
+        sin(angle).mul(radius)
+    ).mul(pulse.add(turbulence)).add(center).toVar()
 
-    return newPosition
-})
+    // Drip, streaks of the lower half stretched toward the floor
+    const lowerHalf = elevation.negate().mul(2).max(0)
+    const streaks = mx_noise_float(vec3(offset.x.mul(8), offset.z.mul(8), time.mul(5))).max(0)
+    newPosition.y.subAssign(lowerHalf.pow(2).mul(streaks).mul(dripStrength))
+    newPosition.y.assign(max(newPosition.y, 0))
 
-const luminance = tslFn(([color]) => {
-    return dot(color, vec3(0.2126, 0.7152, 0.0722))
+    return newPosition
 })
 
 /**
- * Global
- */
-const emissiveColor = uniform(color('#ffac4d'))
-const timeScale = uniform(0.05)
-
-// Geometry
-const sphereGeometry = new THREE.SphereGeometry(0.5, 64, 64)
-sphereGeometry.translate(0, 0.5, 0)
-
-/**
- * Sphere floor
+ * Example
  */
-
-// Material
-const floorMaterial = new THREE.MeshBasicNodeMaterial({ transparent: true, wireframe: false })
-
-// Output
-floorMaterial.outputNode = tslFn(() => {
-    const time = timerLocal().mul(timeScale)
-
-    // Noise 1
-    const noise1Uv = toRadialUv(
-        uv(),
-        vec2(0.5, 0.5),
-        time,
-        time
-    )
-    noise1Uv.assign(toSkewedUv(
-        noise1Uv,
-        vec2(-1, 0)
-    ))
-    noise1Uv.mulAssign(vec2(4, 1))
-    const noise1 = texture(perlinTexture, noise1Uv, 1).r.remap(0.45, 0.7)
-
-    // Noise 2
-    const noise2Uv = toRadialUv(
-        uv(),
-        vec2(2, 8),
-        time.mul(2),
-        time.mul(8)
-    )
-    noise2Uv.assign(toSkewedUv(
-        noise2Uv,
-        vec2(-0.25, 0)
-    ))
-    noise2Uv.mulAssign(vec2(2, 0.25))
-    const noise2 = texture(perlinTexture, noise2Uv, 1).b.remap(0.45, 0.7)
-
-    // Outer fade
-    const distanceToCenter = uv().sub(0.5).toVar()
-    const outerFade = min(
-        distanceToCenter.length().smoothstep(0.5, 0.1),
-        distanceToCenter.length().smoothstep(0, 0.2)
-    )
-
-    // Effect
-    const effect = noise1.mul(noise2).mul(outerFade).toVar()
+export default function init({ canvas }) {
+    /**
+     * Base
+     */
+    // Debug
+    const gui = new GUI({ width: 400 })
+
+    // Scene
+    const scene = new THREE.Scene()
+    scene.fogNode = rangeFog(color('#171617'), 2, 15)
+
+    // Loaders
+    const textureLoader = new THREE.TextureLoader()
+
+    // Noise
+    const noiseSource = createNoiseSource({ textureLoader })
+
+    // Texture
+    const uvCheckerTexture = textureLoader.load('./uvCheckerByValle.jpg')
+    uvCheckerTexture.colorSpace = THREE.SRGBColorSpace
+    uvCheckerTexture.wrapS = THREE.RepeatWrapping
+    uvCheckerTexture.wrapT = THREE.RepeatWrapping
+
+    /**
+     * Global
+     */
+    const timeline = createTimeline()
+    const emissiveColor = uniform(color('#ffac4d'))
+    const timeScale = uniform(0.05)
+    const swirlStrength = uniform(2)
+    const turbulenceStrength = uniform(0.06)
+    const pulseStrength = uniform(0.04)
+    const dripStrength = uniform(0)
+    const floorBloomIntensity = uniform(1)
+    const emissiveBloomIntensity = uniform(1)
+
+    // Depth fade, the layers fading where they meet the opaque geometry, 0 keeping the hard edge
+    const depthFadeSettings = { enabled: true }
+    const floorDepthFade = uniform(0)
+    const emissiveDepthFade = uniform(0.1)
+    const darkDepthFade = uniform(0.1)
+    const fade = (distance) => depthFadeSettings.enabled ? depthFade(distance) : float(1)
+
+    // Geometry
+    const sphereGeometry = new THREE.SphereGeometry(0.5, 64, 64)
+    sphereGeometry.translate(0, 0.5, 0)
+
+    /**
+     * Sphere floor
+     */
+
+    // Material
+    const floorMaterial = new THREE.MeshBasicNodeMaterial({ transparent: true, wireframe: false })
 
     // Output
-    return vec4(
-        emissiveColor.mul(float(0.2).step(effect)).mul(3), // Emissive
-        effect.smoothstep(0, 0.01) // Alpha
-    )
-})()
-
-// Geometry
-const floorGeometry = new THREE.PlaneGeometry(1, 1, 1, 1)
-
-// Mesh
-const floor = new THREE.Mesh(floorGeometry, floorMaterial)
-floor.scale.setScalar(2)
-floor.position.y = 0.01
-floor.rotation.x = - Math.PI * 0.5
-// scene.add(floor)
-
-/**
- * Emissive layer
- */
-
-// Material
-const emissiveMaterial = new THREE.MeshBasicNodeMaterial({ transparent: true, side: THREE.DoubleSide, wireframe: false })
-emissiveMaterial.positionNode = twistedSphere(positionLocal, timerLocal().mul(timeScale))
-
-// Output
-emissiveMaterial.outputNode = tslFn(() => {
-    const time = timerLocal().mul(timeScale)
-
-    // Noise 1
-    const noise1Uv = uv().add(vec2(time, time.negate())).toVar()
-    noise1Uv.assign(toSkewedUv(
-        noise1Uv,
-        vec2(-1, 0)
-    ))
-    noise1Uv.mulAssign(vec2(2, 0.25))
-    const noise1 = texture(perlinTexture, noise1Uv, 1).r.remap(0.45, 0.7)
-
-    // Noise 2
-    const noise2Uv = uv().add(vec2(time.mul(0.5), time.negate())).toVar()
-    noise2Uv.assign(toSkewedUv(
-        noise2Uv,
-        vec2(-1, 0)
-    ))
-    noise2Uv.mulAssign(vec2(5, 1))
-    const noise2 = texture(perlinTexture, noise2Uv, 1).g.remap(0.45, 0.7)
-
-    // Outer fade
-    const outerFade = min(
-        uv().y.smoothstep(0, 0.1),
-        uv().y.smoothstep(0, 1)
-    )
-
-    // Effect
-    const effect = noise1.mul(noise2).mul(outerFade)
-
-    const emissiveColorLuminance = luminance(emissiveColor)
+    const floorOutput = tslFn(() => {
+        const time = timeline.time.mul(timeScale)
+
+        // Noise
+        const noise = radialNoiseStack(noiseSource, uv(), time, [ 'r', 'b' ])
+
+        // Outer fade
+        const distanceToCenter = uv().sub(0.5).toVar()
+        const outerFade = min(
+            distanceToCenter.length().smoothstep(0.5, 0.1),
+            distanceToCenter.length().smoothstep(0, 0.2)
+        )
+
+        // Effect
+        const effect = noise.mul(outerFade).toVar()
+
+        // Output
+        return vec4(
+            emissiveColor.mul(float(0.2).step(effect)).mul(3), // Emissive
+            effect.smoothstep(0, 0.01).mul(fade(floorDepthFade)) // Alpha
+        )
+    })
+
+    // Geometry
+    const floorGeometry = new THREE.PlaneGeometry(1, 1, 1, 1)
+
+    // Mesh
+    const floor = new THREE.Mesh(floorGeometry, floorMaterial)
+    floor.scale.setScalar(2)
+    floor.position.y = 0.01
+    floor.rotation.x = - Math.PI * 0.5
+    // scene.add(floor)
+
+    /**
+     * Emissive layer
+     */
+
+    // Material
+    const emissiveMaterial = new THREE.MeshBasicNodeMaterial({ transparent: true, side: THREE.DoubleSide, wireframe: false })
+    emissiveMaterial.positionNode = twistedSphere(positionLocal, swirlStrength, turbulenceStrength, pulseStrength, dripStrength, timeline.time.mul(timeScale))
 
     // Output
-    return vec4(
-        emissiveColor.mul(1.2).div(emissiveColorLuminance), // Emissive
-        effect.smoothstep(0, 0.075) // Alpha
-    )
-})()
+    const emissiveOutput = tslFn(() => {
+        const time = timeline.time.mul(timeScale)
 
-// Mesh
-const emissive = new THREE.Mesh(sphereGeometry, emissiveMaterial)
-emissive.scale.set(1, 1, 1)
-scene.add(emissive)
+        // Noise
+        const noise = scrollingNoiseStack(noiseSource, uv(), time, [ 'r', 'g' ])
 
-/**
- * Dark layer
- */
- 
-// Material
-const darkMaterial = new THREE.MeshBasicNodeMaterial({ transparent: true, side: THREE.DoubleSide, wireframe: false })
-darkMaterial.positionNode = twistedSphere(positionLocal, timerLocal().mul(timeScale))
-
-// Output
-darkMaterial.outputNode = tslFn(() => {
-    const time = timerLocal().mul(timeScale).add(123.4)
-
-    // Noise 1
-    const noise1Uv = uv().add(vec2(time, time.negate())).toVar()
-    noise1Uv.assign(toSkewedUv(
-        noise1Uv,
-        vec2(-1, 0)
-    ))
-    noise1Uv.mulAssign(vec2(2, 0.25))
-    const noise1 = texture(perlinTexture, noise1Uv, 1).g.remap(0.45, 0.7)
-
-    // Noise 2
-    const noise2Uv = uv().add(vec2(time.mul(0.5), time.negate())).toVar()
-    noise2Uv.assign(toSkewedUv(
-        noise2Uv,
-        vec2(-1, 0)
-    ))
-    noise2Uv.mulAssign(vec2(5, 1))
-    const noise2 = texture(perlinTexture, noise2Uv, 1).b.remap(0.45, 0.7)
-
-    // Outer fade
-    const outerFade = min(
-        uv().y.smoothstep(0, 0.1),
-        uv().y.smoothstep(0.1, 1)
-    )
-
-    // Effect
-    const effect = noise1.mul(noise2).mul(outerFade)
-
-    return vec4(
-        vec3(0),
-        effect.smoothstep(0, 0.1)
-    )
-})()
-
-// Mesh
-const dark = new THREE.Mesh(sphereGeometry, darkMaterial)
-dark.scale.set(1, 1, 1)
-scene.add(dark)
+        // Outer fade
+        const outerFade = min(
+            uv().y.smoothstep(0, 0.1),
+            uv().y.smoothstep(0, 1)
+        )
 
-/**
- * Debug
- */
+        // Effect
+        const effect = noise.mul(outerFade)
 
-gui.addColor({ color: emissiveColor.value.getHexString(THREE.SRGBColorSpace) }, 'color').onChange(value => emissiveColor.value.set(value)).name('emissiveColor')
-gui.add(timeScale, 'value', -1, 1, 0.01).name('timeScale')
+        const emissiveColorLuminance = luminance(emissiveColor)
 
-/**
- * Grid
- */
-const grid = new THREE.Mesh(
-    new THREE.PlaneGeometry(100, 100),
-    gridMaterial
-)
-grid.rotation.x = - Math.PI * 0.5
-grid.position.y = 0
-// scene.add(grid)
+        // Output
+        return vec4(
+            emissiveColor.mul(1.2).div(emissiveColorLuminance), // Emissive
+            effect.smoothstep(0, 0.075).mul(fade(emissiveDepthFade)) // Alpha
+        )
+    })
 
-/**
- * Sizes
- */
-const sizes = {
-    width: window.innerWidth,
-    height: window.innerHeight
-}
+    // Mesh
+    const emissive = new THREE.Mesh(sphereGeometry, emissiveMaterial)
+    emissive.scale.set(1, 1, 1)
+    scene.add(emissive)
 
-window.addEventListener('resize', () => {
-    // Update sizes
-    sizes.width = window.innerWidth
-    sizes.height = window.innerHeight
+    /**
+     * Dark layer
+     */
 
-    // Update camera
-    camera.aspect = sizes.width / sizes.height
-    camera.updateProjectionMatrix()
+    // Material
+    const darkMaterial = new THREE.MeshBasicNodeMaterial({ transparent: true, side: THREE.DoubleSide, wireframe: false })
+    darkMaterial.positionNode = twistedSphere(positionLocal, swirlStrength, turbulenceStrength, pulseStrength, dripStrength, timeline.time.mul(timeScale))
 
-    // Update renderer
+    // Output
+    const darkOutput = tslFn(() => {
+        const time = timeline.time.mul(timeScale).add(123.4)
+
+        // Noise
+        const noise = scrollingNoiseStack(noiseSource, uv(), time, [ 'g', 'b' ])
+
+        // Outer fade
+        const outerFade = min(
+            uv().y.smoothstep(0, 0.1),
+            uv().y.smoothstep(0.1, 1)
+        )
+
+        // Effect
+        const effect = noise.mul(outerFade)
+
+        return vec4(
+            vec3(0),
+            effect.smoothstep(0, 0.1).mul(fade(darkDepthFade))
+        )
+    })
+
+    // Mesh
+    const dark = new THREE.Mesh(sphereGeometry, darkMaterial)
+    dark.scale.set(1, 1, 1)
+    scene.add(dark)
+
+    /**
+     * Outputs
+     * Also written to the emissive target for the selective bloom, the dark layer writing none
+     * They read the noise source and the depth fade toggle when building, call again after changing them
+     */
+    const updateOutputs = () => {
+        setBloomOutput(floorMaterial, floorOutput(), floorBloomIntensity)
+        setBloomOutput(emissiveMaterial, emissiveOutput(), emissiveBloomIntensity)
+        setBloomOutput(darkMaterial, darkOutput(), 0)
+    }
+
+    updateOutputs()
+
+    /**
+     * Debug
+     */
+
+    gui.addColor({ color: emissiveColor.value.getHexString(THREE.SRGBColorSpace) }, 'color').onChange(value => emissiveColor.value.set(value)).name('emissiveColor')
+    gui.add(timeScale, 'value', -1, 1, 0.01).name('timeScale')
+    gui.add(swirlStrength, 'value', 0, 10, 0.01).name('swirlStrength')
+    gui.add(turbulenceStrength, 'value', 0, 0.5, 0.001).name('turbulenceStrength')
+    gui.add(pulseStrength, 'value', 0, 0.5, 0.001).name('pulseStrength')
+    gui.add(dripStrength, 'value', 0, 2, 0.01).name('dripStrength')
+    gui.add(floorBloomIntensity, 'value', 0, 5, 0.01).name('floorBloomIntensity')
+    gui.add(emissiveBloomIntensity, 'value', 0, 5, 0.01).name('emissiveBloomIntensity')
+    gui.add(noiseSource, 'source', [ 'texture', 'procedural' ]).name('noiseSource').onChange(updateOutputs)
+    timeline.addGui(gui)
+
+    const depthFadeFolder = gui.addFolder('depth fade')
+    depthFadeFolder.add(depthFadeSettings, 'enabled').onChange(updateOutputs)
+    depthFadeFolder.add(floorDepthFade, 'value', 0, 1, 0.001).name('floorDepthFade')
+    depthFadeFolder.add(emissiveDepthFade, 'value', 0, 1, 0.001).name('emissiveDepthFade')
+    depthFadeFolder.add(darkDepthFade, 'value', 0, 1, 0.001).name('darkDepthFade')
+
+    /**
+     * Grid
+     */
+    const gridMaterial = createGridMaterial()
+
+    const grid = new THREE.Mesh(
+        new THREE.PlaneGeometry(100, 100),
+        gridMaterial.material
+    )
+    grid.rotation.x = - Math.PI * 0.5
+    grid.position.y = 0
+    // scene.add(grid)
+
+    /**
+     * Sizes
+     */
+    const sizes = {
+        width: window.innerWidth,
+        height: window.innerHeight
+    }
+
+    const onResize = () => {
+        // Update sizes
+        sizes.width = window.innerWidth
+        sizes.height = window.innerHeight
+
+        // Update camera
+        camera.aspect = sizes.width / sizes.height
+        camera.updateProjectionMatrix()
+
+        // Update renderer
+        renderer.setSize(sizes.width, sizes.height)
+        renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2))
+    }
+
+    window.addEventListener('resize', onResize)
+
+    /**
+     * Camera
+     */
+    // Base camera
+    const camera = new THREE.PerspectiveCamera(25, sizes.width / sizes.height, 0.1, 100)
+    camera.position.set(1, 1, 3)
+    scene.add(camera)
+
+    // Controls
+    const controls = new OrbitControls(camera, canvas)
+    controls.target.y = 0.4
+    controls.enableDamping = true
+
+    /**
+     * Renderer
+     */
+    const renderer = createRenderer({
+        canvas: canvas,
+        antialias: true
+    })
     renderer.setSize(sizes.width, sizes.height)
     renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2))
-})
-
-/**
- * Camera
- */
-// Base camera
-const camera = new THREE.PerspectiveCamera(25, sizes.width / sizes.height, 0.1, 100)
-camera.position.set(1, 1, 3)
-scene.add(camera)
-
-// Controls
-const controls = new OrbitControls(camera, canvas)
-controls.target.y = 0.4
-controls.enableDamping = true
-
-/**
- * Renderer
- */
-const renderer = new THREE.WebGPURenderer({
-    canvas: canvas,
-    antialias: true
-})
-renderer.setSize(sizes.width, sizes.height)
-renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2))
-renderer.setClearColor('#171617')
-
-/**
- * Post processing
- */
-const postProcessing = new THREE.PostProcessing(renderer)
-
-const scenePass = pass(scene, camera)
-const scenePassColor = scenePass.getTextureNode('output')
-
-const bloomPass = bloom(scenePassColor, 1, 0.1, 1)
-
-const bloomGui = gui.addFolder('bloom')
-bloomGui.add(bloomPass.strength, 'value', 0, 10, 0.01).name('strength')
-bloomGui.add(bloomPass.radius, 'value', 0, 1, 0.01).name('radius')
-bloomGui.add(bloomPass.threshold, 'value', 0, 1, 0.01).name('threshold')
-
-gui.close()
-
-postProcessing.outputNode = scenePassColor.add(bloomPass)
-
-/**
- * Animate
- */
-const clock = new THREE.Clock()
-
-const tick = () => {
-    const elapsedTime = clock.getElapsedTime()
-
-    // Update controls
-    controls.update()
-
-    // Render
-    postProcessing.renderAsync()
-    // renderer.renderAsync(scene, camera)
-
-    // Call tick again on the next frame
-    window.requestAnimationFrame(tick)
+    renderer.setClearColor('#171617')
+
+    /**
+     * Post processing
+     */
+    const scenePass = pass(scene, camera)
+    scenePass.setMRT(sceneMRT())
+    const scenePassColor = scenePass.getTextureNode('output')
+    const scenePassEmissive = scenePass.getTextureNode('emissive')
+
+    const postProcessing = createPostProcessing({ renderer, input: scenePassColor, emissive: scenePassEmissive, time: timeline.time })
+    postProcessing.addGui(gui)
+
+    gui.close()
+
+    /**
+     * Animate
+     */
+    const tick = () => {
+        // Update timeline
+        timeline.update()
+
+        // Update controls
+        controls.update()
+
+        // Render
+        postProcessing.renderAsync()
+        // renderer.renderAsync(scene, camera)
+    }
+
+    renderer.setAnimationLoop(tick)
+
+    /**
+     * Dispose
+     */
+    const dispose = () => {
+        renderer.setAnimationLoop(null)
+        window.removeEventListener('resize', onResize)
+
+        controls.dispose()
+        gui.destroy()
+
+        scenePass.dispose()
+        postProcessing.dispose()
+        disposeScene(scene)
+        floorGeometry.dispose()
+        floorMaterial.dispose()
+        grid.geometry.dispose()
+        gridMaterial.dispose()
+        noiseSource.dispose()
+        uvCheckerTexture.dispose()
+        renderer.dispose()
+    }
+
+    return { gui, renderer, dispose }
 }
-
-tick()
@@ -0,0 +1,250 @@
+import { Vector3 } from 'three/webgpu'
+import { mix, sin, uniform, vec3 } from 'three/tsl'
+
+/**
+ * Systems
+ * Each derivative is written twice, with nodes for the particles and with numbers to trace the bounds on the CPU
+ * Params are [ value, min, max, step ], `speed` scaling the system time and not being part of the equations
+ * `start` and `timestep` are only used to trace the bounds
+ */
+const systems = {
+    lorenz: {
+        params: {
+            sigma: [ 10, 0, 30, 0.01 ],
+            rho: [ 28, 0, 60, 0.01 ],
+            beta: [ 8 / 3, 0, 10, 0.001 ],
+            speed: [ 0.5, 0, 5, 0.01 ]
+        },
+        start: [ 0.1, 0, 0 ],
+        timestep: 0.005,
+        derivative: ({ sigma, rho, beta }, p) => vec3(
+            sigma.mul(p.y.sub(p.x)),
+            p.x.mul(rho.sub(p.z)).sub(p.y),
+            p.x.mul(p.y).sub(beta.mul(p.z))
+        ),
+        derivativeCpu: ({ sigma, rho, beta }, [ x, y, z ]) => [
+            sigma * (y - x),
+            x * (rho - z) - y,
+            x * y - beta * z
+        ]
+    },
+    aizawa: {
+        params: {
+            a: [ 0.95, 0, 2, 0.001 ],
+            b: [ 0.7, 0, 2, 0.001 ],
+            c: [ 0.6, 0, 2, 0.001 ],
+            d: [ 3.5, 0, 10, 0.01 ],
+            e: [ 0.25, 0, 1, 0.001 ],
+            f: [ 0.1, 0, 1, 0.001 ],
+            speed: [ 1.5, 0, 5, 0.01 ]
+        },
+        start: [ 0.1, 0, 0 ],
+        timestep: 0.01,
+        derivative: ({ a, b, c, d, e, f }, p) => vec3(
+            p.z.sub(b).mul(p.x).sub(d.mul(p.y)),
+            d.mul(p.x).add(p.z.sub(b).mul(p.y)),
+            c.add(a.mul(p.z)).sub(p.z.pow(3).div(3)).sub(p.x.mul(p.x).add(p.y.mul(p.y)).mul(e.mul(p.z).add(1))).add(f.mul(p.z).mul(p.x.pow(3)))
+        ),
+        derivativeCpu: ({ a, b, c, d, e, f }, [ x, y, z ]) => [
+            (z - b) * x - d * y,
+            d * x + (z - b) * y,
+            c + a * z - z * z * z / 3 - (x * x + y * y) * (1 + e * z) + f * z * x * x * x
+        ]
+    },
+    thomas: {
+        params: {
+            b: [ 0.208186, 0, 0.5, 0.0001 ],
+            speed: [ 4, 0, 20, 0.01 ]
+        },
+        start: [ 0.1, 0, 0 ],
+        timestep: 0.05,
+        derivative: ({ b }, p) => vec3(
+            sin(p.y).sub(b.mul(p.x)),
+            sin(p.z).sub(b.mul(p.y)),
+            sin(p.x).sub(b.mul(p.z))
+        ),
+        derivativeCpu: ({ b }, [ x, y, z ]) => [
+            Math.sin(y) - b * x,
+            Math.sin(z) - b * y,
+            Math.sin(x) - b * z
+        ]
+    },
+    halvorsen: {
+        params: {
+            a: [ 1.89, 0, 3, 0.001 ],
+            speed: [ 0.6, 0, 5, 0.01 ]
+        },
+        start: [ -1.48, -1.51, 2.04 ],
+        timestep: 0.005,
+        derivative: ({ a }, p) => vec3(
+            a.mul(p.x).add(p.y.mul(4)).add(p.z.mul(4)).add(p.y.mul(p.y)).negate(),
+            a.mul(p.y).add(p.z.mul(4)).add(p.x.mul(4)).add(p.z.mul(p.z)).negate(),
+            a.mul(p.z).add(p.x.mul(4)).add(p.y.mul(4)).add(p.x.mul(p.x)).negate()
+        ),
+        derivativeCpu: ({ a }, [ x, y, z ]) => [
+            - a * x - 4 * y - 4 * z - y * y,
+            - a * y - 4 * z - 4 * x - z * z,
+            - a * z - 4 * x - 4 * y - x * x
+        ]
+    }
+}
+
+const systemNames = Object.keys(systems)
+
+// Fourth order Runge-Kutta velocity, `add` and `scale` letting it run on nodes and on arrays
+// The timestep can be a node so it is only ever passed to `scale`
+const rungeKutta = (derivative, position, timestep, add, scale) =>
+{
+    const k1 = derivative(position)
+    const k2 = derivative(add(position, scale(scale(k1, timestep), 0.5)))
+    const k3 = derivative(add(position, scale(scale(k2, timestep), 0.5)))
+    const k4 = derivative(add(position, scale(k3, timestep)))
+
+    return scale(add(add(k1, scale(k2, 2)), add(scale(k3, 2), k4)), 1 / 6)
+}
+
+/**
+ * Strange attractors
+ * Chaotic systems moving the particles along their flow, `step()` integrating it with RK4
+ * Each system is framed into a cube of `frameSize` from the bounds of a trajectory traced on the CPU, traced again when its params change
+ * The world Y axis is the system Z axis so the Lorenz and Aizawa attractors stand upright
+ * The flow blends from `system` to `blendSystem`, `onChange` is called whenever the nodes have to be generated again
+ */
+export default function createStrangeAttractors({ frameSize = 3, system = 'lorenz', blendSystem = 'aizawa', onChange = null } = {})
+{
+    const strangeAttractors = {}
+    strangeAttractors.enabled = false
+    strangeAttractors.system = system
+    strangeAttractors.blendSystem = blendSystem
+    strangeAttractors.blend = uniform(0)
+    strangeAttractors.frameSize = frameSize
+    strangeAttractors.systems = {}
+
+    for(const name of systemNames)
+    {
+        const uniforms = {}
+
+        for(const paramName in systems[name].params)
+            uniforms[paramName] = uniform(systems[name].params[paramName][0])
+
+        strangeAttractors.systems[name] = { uniforms, center: uniform(new Vector3()), scale: uniform(1) }
+    }
+
+    /**
+     * Framing
+     */
+    const addArrays = (a, b) => a.map((value, index) => value + b[index])
+    const scaleArray = (a, factor) => a.map(value => value * factor)
+
+    strangeAttractors.frame = (name) =>
+    {
+        const { uniforms, center, scale } = strangeAttractors.systems[name]
+        const { start, timestep, derivativeCpu } = systems[name]
+
+        const params = {}
+        for(const paramName in uniforms)
+            params[paramName] = uniforms[paramName].value
+
+        const min = [ Infinity, Infinity, Infinity ]
+        const max = [ -Infinity, -Infinity, -Infinity ]
+        let position = [ ...start ]
+
+        // The first steps are the way to the attractor and not part of it
+        for(let i = 0; i < 20000; i++)
+        {
+            const velocity = rungeKutta(p => derivativeCpu(params, p), position, timestep, addArrays, scaleArray)
+            position = addArrays(position, scaleArray(velocity, timestep))
+
+            if(i < 1000)
+                continue
+
+            for(let axis = 0; axis < 3; axis++)
+            {
+                min[axis] = Math.min(min[axis], position[axis])
+                max[axis] = Math.max(max[axis], position[axis])
+            }
+        }
+
+        // Diverging params keep the previous frame
+        const extent = Math.max(max[0] - min[0], max[1] - min[1], max[2] - min[2])
+
+        if(!Number.isFinite(extent) || extent === 0)
+            return
+
+        center.value.set((min[0] + max[0]) / 2, (min[1] + max[1]) / 2, (min[2] + max[2]) / 2)
+        scale.value = strangeAttractors.frameSize / extent
+    }
+
+    strangeAttractors.frameAll = () =>
+    {
+        for(const name of systemNames)
+            strangeAttractors.frame(name)
+    }
+
+    strangeAttractors.frameAll()
+
+    /**
+     * Flow
+     */
+    // World velocity of a system at a world position
+    const systemVelocity = (name, position) =>
+    {
+        const { uniforms, center, scale } = strangeAttractors.systems[name]
+        const systemPosition = position.xzy.div(scale).add(center)
+
+        return systems[name].derivative(uniforms, systemPosition).xzy.mul(scale).mul(uniforms.speed)
+    }
+
+    strangeAttractors.velocity = (position) =>
+    {
+        return mix(
+            systemVelocity(strangeAttractors.system, position),
+            systemVelocity(strangeAttractors.blendSystem, position),
+            strangeAttractors.blend
+        )
+    }
+
+    // Plain function so the assignments are added to the calling stack
+    strangeAttractors.step = (position, velocity, delta) =>
+    {
+        const derivative = (p) => strangeAttractors.velocity(p).toVar()
+        const add = (a, b) => a.add(b)
+        const scale = (a, factor) => a.mul(factor)
+
+        velocity.assign(rungeKutta(derivative, position, delta, add, scale))
+        position.addAssign(velocity.mul(delta))
+    }
+
+    /**
+     * GUI
+     */
+    strangeAttractors.addGui = (gui, title = 'strange attractors') =>
+    {
+        const folder = gui.addFolder(title)
+
+        folder.add(strangeAttractors, 'enabled').onChange(() => onChange?.())
+        folder.add(strangeAttractors, 'system', systemNames).onChange(() => onChange?.())
+        folder.add(strangeAttractors, 'blendSystem', systemNames).onChange(() => onChange?.())
+        folder.add(strangeAttractors.blend, 'value', 0, 1, 0.001).name('blend')
+        folder.add(strangeAttractors, 'frameSize', 0.1, 8, 0.01).onChange(strangeAttractors.frameAll)
+
+        for(const name of systemNames)
+        {
+            const systemFolder = folder.addFolder(name).close()
+            const { uniforms } = strangeAttractors.systems[name]
+
+            for(const paramName in uniforms)
+            {
+                const [ , ...range ] = systems[name].params[paramName]
+                const controller = systemFolder.add(uniforms[paramName], 'value', ...range).name(paramName)
+
+                if(paramName !== 'speed')
+                    controller.onChange(() => strangeAttractors.frame(name))
+            }
+        }
+
+        return folder
+    }
+
+    return strangeAttractors
+}
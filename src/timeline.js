@@ -0,0 +1,92 @@
+import { uniform } from 'three/tsl'
+
+/**
+ * Timeline
+ * Time source of an example, used instead of timerLocal() so effects can be paused, stepped, scrubbed and replayed exactly
+ * `time` and `delta` are uniforms and update() has to be called once per frame before rendering
+ * In fixed timestep mode every frame advances by `timestep` whatever the frame rate
+ */
+export default function createTimeline({ fixedTimestep = false, timestep = 1 / 60, maxDelta = 1 / 30, duration = 60 } = {})
+{
+    const timeline = {}
+    timeline.time = uniform(0)
+    timeline.delta = uniform(0)
+    timeline.playing = true
+    timeline.fixedTimestep = fixedTimestep
+    timeline.timestep = timestep
+    timeline.duration = duration
+
+    let previousNow = null
+    let pendingSteps = 0
+
+    /**
+     * Controls
+     */
+    timeline.play = () =>
+    {
+        timeline.playing = true
+    }
+
+    timeline.pause = () =>
+    {
+        timeline.playing = false
+    }
+
+    // Pauses and advances a single timestep on the next update
+    timeline.step = () =>
+    {
+        timeline.pause()
+        pendingSteps++
+    }
+
+    timeline.seek = (time) =>
+    {
+        timeline.time.value = time
+    }
+
+    /**
+     * Update
+     */
+    timeline.update = () =>
+    {
+        const now = performance.now() / 1000
+        const elapsed = previousNow === null ? 0 : now - previousNow
+        previousNow = now
+
+        let delta = 0
+
+        if(timeline.playing)
+        {
+            // Wall clock delta is clamped so a hidden tab doesn't jump ahead
+            delta = timeline.fixedTimestep ? timeline.timestep : Math.min(elapsed, maxDelta)
+        }
+        else if(pendingSteps > 0)
+        {
+            delta = timeline.timestep
+            pendingSteps--
+        }
+
+        timeline.delta.value = delta
+        timeline.time.value += delta
+
+        return delta
+    }
+
+    /**
+     * GUI
+     */
+    timeline.addGui = (gui) =>
+    {
+        const folder = gui.addFolder('timeline')
+
+        folder.add(timeline, 'playing').listen()
+        folder.add(timeline, 'step')
+        folder.add(timeline.time, 'value', 0, timeline.duration, 0.001).name('time').listen()
+        folder.add(timeline, 'fixedTimestep')
+        folder.add(timeline, 'timestep', 1 / 240, 1 / 10, 0.0001)
+
+        return folder
+    }
+
+    return timeline
+}
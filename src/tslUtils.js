@@ -0,0 +1,300 @@
+import { RepeatWrapping, TextureLoader } from 'three/webgpu'
+import { atan2, cameraFar, cameraNear, cos, dot, float, floor, fract, Fn, max, min, mix, mod, perspectiveDepthToViewZ, PI, PI2, positionView, sin, step, texture, vec2, vec3, vec4, viewportDepthTexture } from 'three/tsl'
+
+/**
+ * UV helpers
+ */
+export const toRadialUv = Fn(([uv, multiplier, rotation, offset]) =>
+{
+    const centeredUv = uv.sub(0.5).toVar()
+    const distanceToCenter = centeredUv.length()
+    const angle = atan2(centeredUv.y, centeredUv.x)
+    const radialUv = vec2(angle.add(PI).div(PI2), distanceToCenter).toVar()
+    radialUv.mulAssign(multiplier)
+    radialUv.x.addAssign(rotation)
+    radialUv.y.addAssign(offset)
+
+    return radialUv
+})
+
+export const toSkewedUv = Fn(([uv, skew]) =>
+{
+    return vec2(
+        uv.x.add(uv.y.mul(skew.x)),
+        uv.y.add(uv.x.mul(skew.y))
+    )
+})
+
+/**
+ * Color helpers
+ */
+export const luminance = Fn(([color]) =>
+{
+    return dot(color, vec3(0.2126, 0.7152, 0.0722))
+})
+
+/**
+ * Depth helpers
+ */
+// Soft intersections, 0 where the fragment meets the geometry already drawn and 1 from `distance` in front of it
+// Reads the depth of the render target being drawn, so it only sees the opaque meshes when used by transparent ones
+export const depthFade = Fn(([distance]) =>
+{
+    const sceneViewZ = perspectiveDepthToViewZ(viewportDepthTexture(), cameraNear, cameraFar)
+
+    return positionView.z.sub(sceneViewZ).div(max(distance, 0.0001)).saturate()
+})
+
+/**
+ * Hashes
+ * From https://www.shadertoy.com/view/4djSRW (Dave Hoskins), no sine so they stay stable on every GPU
+ */
+const hash12 = Fn(([p]) =>
+{
+    const p3 = fract(vec3(p.x, p.y, p.x).mul(0.1031)).toVar()
+    p3.addAssign(dot(p3, p3.yzx.add(33.33)))
+
+    return fract(p3.x.add(p3.y).mul(p3.z))
+})
+
+const hash22 = Fn(([p]) =>
+{
+    const p3 = fract(vec3(p.x, p.y, p.x).mul(vec3(0.1031, 0.1030, 0.0973))).toVar()
+    p3.addAssign(dot(p3, p3.yzx.add(33.33)))
+
+    return fract(p3.xx.add(p3.yz).mul(p3.zy))
+})
+
+/**
+ * Procedural noises
+ * Every noise takes a position and a period (in cells) after which it repeats, so `noise(uv * n, n)` tiles over the UV space like a texture
+ */
+
+// Value noise, returns [0, 1]
+export const valueNoise = Fn(([p, period]) =>
+{
+    const cell = floor(p).toVar()
+    const local = fract(p).toVar()
+    const curve = local.mul(local).mul(local.mul(-2).add(3))
+
+    const a = hash12(mod(cell, period))
+    const b = hash12(mod(cell.add(vec2(1, 0)), period))
+    const c = hash12(mod(cell.add(vec2(0, 1)), period))
+    const d = hash12(mod(cell.add(vec2(1, 1)), period))
+
+    return mix(mix(a, b, curve.x), mix(c, d, curve.x), curve.y)
+})
+
+// Simplex noise, returns [-1, 1]
+// Tiling version of psrdnoise by Stefan Gustavson and Ian McEwan (https://github.com/stegu/psrdnoise), period.y has to be even
+export const simplexNoise = Fn(([p, period]) =>
+{
+    // Simplex space (axis-aligned hexagonal grid)
+    const simplexP = vec2(p.x.add(p.y.mul(0.5)), p.y)
+    const i0 = floor(simplexP).toVar()
+    const f0 = fract(simplexP)
+
+    const cmp = step(f0.y, f0.x)
+    const o1 = vec2(cmp, cmp.oneMinus())
+
+    // Corners back in noise space
+    const v0 = vec2(i0.x.sub(i0.y.mul(0.5)), i0.y).toVar()
+    const v1 = vec2(v0.x.add(o1.x).sub(o1.y.mul(0.5)), v0.y.add(o1.y)).toVar()
+    const v2 = vec2(v0.x.add(0.5), v0.y.add(1)).toVar()
+
+    const x0 = p.sub(v0).toVar()
+    const x1 = p.sub(v1).toVar()
+    const x2 = p.sub(v2).toVar()
+
+    // Wrap corners to the period
+    const wrappedX = mod(vec3(v0.x, v1.x, v2.x), period.x)
+    const wrappedY = mod(vec3(v0.y, v1.y, v2.y), period.y).toVar()
+    const iu = floor(wrappedX.add(wrappedY.mul(0.5)).add(0.5))
+    const iv = floor(wrappedY.add(0.5))
+
+    // Gradient per corner
+    const hash = mod(iu, 289).toVar()
+    hash.assign(mod(hash.mul(51).add(2).mul(hash).add(iv), 289))
+    hash.assign(mod(hash.mul(34).add(10).mul(hash), 289))
+    const angle = hash.mul(0.07482).toVar()
+    const gradientX = cos(angle).toVar()
+    const gradientY = sin(angle).toVar()
+
+    // Radial decay
+    const decay = max(float(0.8).sub(vec3(dot(x0, x0), dot(x1, x1), dot(x2, x2))), 0).toVar()
+    const decay2 = decay.mul(decay)
+    const decay4 = decay2.mul(decay2)
+
+    const ramps = vec3(
+        gradientX.x.mul(x0.x).add(gradientY.x.mul(x0.y)),
+        gradientX.y.mul(x1.x).add(gradientY.y.mul(x1.y)),
+        gradientX.z.mul(x2.x).add(gradientY.z.mul(x2.y))
+    )
+
+    return dot(decay4, ramps).mul(10.9)
+})
+
+// Fractal brownian motion over 4 octaves of simplex noise, returns [-1, 1]
+export const fbm = Fn(([p, period]) =>
+{
+    const value = float(0).toVar()
+    let frequency = 1
+    let amplitude = 0.5
+
+    for(let i = 0; i < 4; i++)
+    {
+        value.addAssign(simplexNoise(p.mul(frequency), period.mul(frequency)).mul(amplitude))
+        frequency *= 2
+        amplitude *= 0.5
+    }
+
+    return value.div(0.9375)
+})
+
+// Cellular noise (Voronoi F1), returns the distance to the closest feature point
+export const cellularNoise = Fn(([p, period]) =>
+{
+    const cell = floor(p).toVar()
+    const local = fract(p).toVar()
+    const minDistance = float(8).toVar()
+
+    for(let y = - 1; y <= 1; y++)
+    {
+        for(let x = - 1; x <= 1; x++)
+        {
+            const offset = vec2(x, y)
+            const point = hash22(mod(cell.add(offset), period))
+            minDistance.assign(min(minDistance, offset.add(point).sub(local).length()))
+        }
+    }
+
+    return minDistance
+})
+
+/**
+ * Noise source
+ * Same lookups as the baked `perlinTexture.png` and `Voronoi 1 - 256x256.png`, either from the PNGs or computed procedurally
+ * The source is read when the materials build, so changing it requires to reassign their nodes
+ */
+const perlinChannelOffsets = {
+    r: vec2(0, 0),
+    g: vec2(17.3, 41.9),
+    b: vec2(73.1, 5.7),
+    a: vec2(29.5, 91.3)
+}
+const vectors = [ null, null, vec2, vec3, vec4 ]
+
+export const createNoiseSource = ({ source = 'texture', textureLoader = new TextureLoader() } = {}) =>
+{
+    const noiseSource = {}
+    noiseSource.source = source
+    noiseSource.textures = {}
+
+    // Textures are only loaded once used so the procedural source never requests the PNGs
+    const getTexture = (path) =>
+    {
+        if(!noiseSource.textures[path])
+        {
+            const loadedTexture = textureLoader.load(path)
+            loadedTexture.wrapS = RepeatWrapping
+            loadedTexture.wrapT = RepeatWrapping
+            noiseSource.textures[path] = loadedTexture
+        }
+
+        return noiseSource.textures[path]
+    }
+
+    const proceduralPerlin = (uv, channel) =>
+    {
+        return fbm(uv.mul(4).add(perlinChannelOffsets[channel]), vec2(4)).mul(0.5).add(0.5)
+    }
+
+    // Channels are a swizzle ('r', 'rg', ...), ask only for the ones used since each procedural channel is a full fbm
+    noiseSource.perlin = (uv, channels = 'rgba', level = 0) =>
+    {
+        if(noiseSource.source === 'texture')
+            return texture(getTexture('./perlinTexture.png'), uv, level)[channels]
+
+        const values = channels.split('').map(channel => proceduralPerlin(uv, channel))
+
+        return values.length === 1 ? values[0] : vectors[values.length](...values)
+    }
+
+    noiseSource.cellular = (uv, level = 0) =>
+    {
+        if(noiseSource.source === 'texture')
+            return texture(getTexture('./Voronoi 1 - 256x256.png'), uv, level).r
+
+        return cellularNoise(uv.mul(6), vec2(6)).clamp(0, 1)
+    }
+
+    noiseSource.dispose = () =>
+    {
+        for(const path in noiseSource.textures)
+            noiseSource.textures[path].dispose()
+
+        noiseSource.textures = {}
+    }
+
+    return noiseSource
+}
+
+/**
+ * Layer noise stacks
+ * Two scrolling and skewed noise lookups multiplied together, shared by the tornado and sphere layers
+ */
+export const radialNoiseStack = (noiseSource, uv, time, channels) =>
+{
+    // Noise 1
+    const noise1Uv = toRadialUv(
+        uv,
+        vec2(0.5, 0.5),
+        time,
+        time
+    )
+    noise1Uv.assign(toSkewedUv(
+        noise1Uv,
+        vec2(-1, 0)
+    ))
+    noise1Uv.mulAssign(vec2(4, 1))
+    const noise1 = noiseSource.perlin(noise1Uv, channels[0], 1).remap(0.45, 0.7)
+
+    // Noise 2
+    const noise2Uv = toRadialUv(
+        uv,
+        vec2(2, 8),
+        time.mul(2),
+        time.mul(8)
+    )
+    noise2Uv.assign(toSkewedUv(
+        noise2Uv,
+        vec2(-0.25, 0)
+    ))
+    noise2Uv.mulAssign(vec2(2, 0.25))
+    const noise2 = noiseSource.perlin(noise2Uv, channels[1], 1).remap(0.45, 0.7)
+
+    return noise1.mul(noise2)
+}
+
+export const scrollingNoiseStack = (noiseSource, uv, time, channels) =>
+{
+    // Noise 1
+    const noise1Uv = uv.add(vec2(time, time.negate())).toVar()
+    noise1Uv.assign(toSkewedUv(
+        noise1Uv,
+        vec2(-1, 0)
+    ))
+    noise1Uv.mulAssign(vec2(2, 0.25))
+    const noise1 = noiseSource.perlin(noise1Uv, channels[0], 1).remap(0.45, 0.7)
+
+    // Noise 2
+    const noise2Uv = uv.add(vec2(time.mul(0.5), time.negate())).toVar()
+    noise2Uv.assign(toSkewedUv(
+        noise2Uv,
+        vec2(-1, 0)
+    ))
+    noise2Uv.mulAssign(vec2(5, 1))
+    const noise2 = noiseSource.perlin(noise2Uv, channels[1], 1).remap(0.45, 0.7)
+
+    return noise1.mul(noise2)
+}
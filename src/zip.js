@@ -0,0 +1,85 @@
+/**
+ * Zip
+ * Minimal writer storing the files without compression, enough for already compressed files like PNGs
+ */
+const crcTable = new Uint32Array(256).map((value, index) =>
+{
+    let crc = index
+
+    for(let i = 0; i < 8; i++)
+        crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1
+
+    return crc
+})
+
+const crc32 = (data) =>
+{
+    let crc = 0xffffffff
+
+    for(const byte of data)
+        crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8)
+
+    return (crc ^ 0xffffffff) >>> 0
+}
+
+// 1980-01-01 00:00, the earliest date the format supports
+const dosTime = 0
+const dosDate = (1 << 5) | 1
+
+/**
+ * Takes [{ name, data: Uint8Array }] and returns a Blob
+ */
+export default function createZip(files)
+{
+    const encoder = new TextEncoder()
+    const localParts = []
+    const centralParts = []
+    let offset = 0
+    let centralSize = 0
+
+    for(const file of files)
+    {
+        const name = encoder.encode(file.name)
+        const crc = crc32(file.data)
+        const size = file.data.length
+
+        // Local file header
+        const local = new DataView(new ArrayBuffer(30))
+        local.setUint32(0, 0x04034b50, true)
+        local.setUint16(4, 20, true)
+        local.setUint16(10, dosTime, true)
+        local.setUint16(12, dosDate, true)
+        local.setUint32(14, crc, true)
+        local.setUint32(18, size, true)
+        local.setUint32(22, size, true)
+        local.setUint16(26, name.length, true)
+        localParts.push(local, name, file.data)
+
+        // Central directory entry
+        const central = new DataView(new ArrayBuffer(46))
+        central.setUint32(0, 0x02014b50, true)
+        central.setUint16(4, 20, true)
+        central.setUint16(6, 20, true)
+        central.setUint16(12, dosTime, true)
+        central.setUint16(14, dosDate, true)
+        central.setUint32(16, crc, true)
+        central.setUint32(20, size, true)
+        central.setUint32(24, size, true)
+        central.setUint16(28, name.length, true)
+        central.setUint32(42, offset, true)
+        centralParts.push(central, name)
+
+        offset += 30 + name.length + size
+        centralSize += 46 + name.length
+    }
+
+    // End of central directory
+    const end = new DataView(new ArrayBuffer(22))
+    end.setUint32(0, 0x06054b50, true)
+    end.setUint16(8, files.length, true)
+    end.setUint16(10, files.length, true)
+    end.setUint32(12, centralSize, true)
+    end.setUint32(16, offset, true)
+
+    return new Blob([ ...localParts, ...centralParts, end ], { type: 'application/zip' })
+}